@@ -1,13 +1,16 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
+const http = require('http');
 const https = require('https');
+const tls = require('tls');
+const crypto = require('crypto');
 const readline = require('readline');
-const {promisify} = require('util');
-const {exec} = require('child_process');
-
-const execAsync = promisify(exec);
+const {spawn} = require('child_process');
+const {parseArgs} = require('util');
 
 const COLORS = {
   reset: '\x1b[0m', green: '\x1b[32m', yellow: '\x1b[33m', red: '\x1b[31m',
@@ -15,564 +18,3710 @@ const COLORS = {
 };
 
 const CDN_BASE = 'https://cdn.simpl.iwanvanderwal.nl/framework';
-const LOCAL_RELEASES_DIR = process.env.SIMPL_LOCAL_RELEASES || path.join(process.cwd(), 'local-releases');
+const CACHE_DIR = process.env.SIMPL_ADDON_CACHE || path.join(
+  process.platform === 'win32' ? process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local')
+    : process.platform === 'darwin' ? path.join(os.homedir(), 'Library', 'Caches')
+      : process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'),
+  'simpl-addon'
+);
+const USER_CONFIG_FILE = process.env.SIMPL_ADDON_CONFIG || path.join(
+  process.platform === 'win32' ? process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming')
+    : process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'),
+  'simpl-addon', 'config.json'
+);
+const DEFAULT_REGISTRY = 'simpl';
+const VERSIONS_CACHE_TTL = 60 * 60 * 1000;
+const MAX_REDIRECTS = 5;
+const RETRY_DELAY = 500;
+const ADDON_MANIFEST = 'addon.json';
+const PRISTINE_DIR = '.simpl-addons';
+const CONFLICT_ACTIONS = ['keep', 'overwrite', 'sidecar'];
+const VARIABLE_NAME = /^[A-Z][A-Z0-9_]*$/;
+const VARIABLE_PATTERN = /\{\{([A-Z][A-Z0-9_]*)\}\}/g;
+
+const CDN_UNREACHABLE = 'CDN server is currently unreachable';
+
+const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  notSimplProject: 2,
+  addonNotFound: 3,
+  cdnUnreachable: 4,
+  mergeWarnings: 5,
+  inputRequired: 6,
+  checksumMismatch: 7,
+  drift: 8,
+  cancelled: 130
+};
+
+const runtime = {json: false, interactive: true, yes: false, verify: true, offline: false, timeout: 30000, retries: 3, cli: false, projectDir: process.cwd(), logger: null};
+
+const log = (message = '', color = 'reset') => {
+  if (runtime.logger) runtime.logger(stripColors(message));
+  else if (runtime.cli && !runtime.json) console.log(message ? `${COLORS[color]}${message}${COLORS.reset}` : '');
+};
+
+const stripColors = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+const printJson = (report) => process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+
+class AddonError extends Error {
+  constructor(message, {exitCode = EXIT_CODES.error, hint = null, details = null, report = {}, cause} = {}) {
+    super(stripColors(message), cause ? {cause} : undefined);
+    this.name = 'AddonError';
+    this.code = Object.keys(EXIT_CODES).find(key => EXIT_CODES[key] === exitCode) || 'error';
+    this.exitCode = exitCode;
+    this.hint = hint;
+    this.report = {...report, success: false, exitCode, error: {message: this.message, ...(hint ? {hint} : {})}};
+    Object.defineProperties(this, {formatted: {value: message}, details: {value: details}});
+  }
+}
+
+const fail = (exitCode, message, options = {}) => {
+  throw new AddonError(message, {...options, exitCode});
+};
+
+const printFailure = (error) => {
+  if (runtime.json) return printJson(error.report);
+
+  log();
+  log(`  ${COLORS.red}✗${COLORS.reset} ${error.formatted}`, 'red');
+  if (error.hint) log(`  ${COLORS.dim}${error.hint}${COLORS.reset}`);
+  error.details?.();
+  log();
+};
+
+const failForDownload = (error, message, report) => {
+  if (error instanceof AddonError) throw error;
+  if (error.message === CDN_UNREACHABLE) return fail(EXIT_CODES.cdnUnreachable, message, {hint: `${error.cause ? `${error.cause.message}. ` : ''}The CDN server is currently unavailable. Please try again later.`, report});
+  if (/^HTTP 404/.test(error.message)) return fail(EXIT_CODES.addonNotFound, message, {hint: 'Please verify the add-on exists and try again', report});
+  if (error.message.startsWith('HTTP')) return fail(EXIT_CODES.error, message, {hint: 'Please verify the add-on exists and try again', report});
+  return fail(error.exitCode || EXIT_CODES.error, message, {hint: error.message, report});
+};
+
+const getRedirect = (url, location, headers) => {
+  const target = new URL(location, url);
+  return [target.href, target.host === new URL(url).host ? headers : {}];
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getProxy = (target) => {
+  const proxy = process.env.HTTPS_PROXY || process.env.https_proxy;
+  if (!proxy) return null;
+
+  const bypass = (process.env.NO_PROXY || process.env.no_proxy || '').split(',')
+    .map(entry => entry.trim().toLowerCase().split(':')[0].replace(/^\*?\./, ''))
+    .some(entry => entry === '*' || target.hostname === entry || target.hostname.endsWith(`.${entry}`));
+
+  return bypass ? null : new URL(proxy);
+};
+
+const connectThroughProxy = (proxy, target) => new Promise((resolve, reject) => {
+  const address = `${target.hostname}:${target.port || 443}`;
+  const req = (proxy.protocol === 'https:' ? https : http).request({
+    host: proxy.hostname,
+    port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+    method: 'CONNECT',
+    path: address,
+    timeout: runtime.timeout,
+    headers: {host: address, ...(proxy.username ? {'proxy-authorization': `Basic ${Buffer.from(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`).toString('base64')}`} : {})}
+  });
+
+  req.on('connect', (res, socket) => {
+    if (res.statusCode === 200) return resolve(tls.connect({socket, servername: target.hostname}));
+    socket.destroy();
+    reject(new Error(`Proxy ${proxy.host} refused the connection with HTTP ${res.statusCode}`));
+  });
+  req.on('timeout', () => req.destroy(new Error(`Proxy ${proxy.host} did not respond within ${runtime.timeout / 1000}s`)));
+  req.on('error', reject);
+  req.end();
+});
+
+const sendRequest = async (url, headers) => {
+  const target = new URL(url);
+  const proxy = getProxy(target);
+  const socket = proxy ? await connectThroughProxy(proxy, target) : null;
+
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, {headers, timeout: runtime.timeout, ...(socket ? {createConnection: () => socket} : {})}, resolve);
+    req.on('timeout', () => req.destroy(new Error(`${target.host} did not respond within ${runtime.timeout / 1000}s`)));
+    req.on('error', reject);
+  });
+};
 
-const log = (message, color = 'reset') => console.log(`${COLORS[color]}${message}${COLORS.reset}`);
+const readResponse = (res, dest, onProgress) => new Promise((resolve, reject) => {
+  const total = parseInt(res.headers['content-length'], 10) || null;
+  const file = dest ? fs.createWriteStream(dest) : null;
+  const chunks = [];
+  let received = 0;
 
-const fetchUrl = (url) => new Promise((resolve, reject) => {
-  https.get(url, res => {
-    if (res.statusCode === 302 || res.statusCode === 301) return fetchUrl(res.headers.location).then(resolve).catch(reject);
-    if (res.statusCode !== 200) return reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage || 'Request failed'}`));
+  res.on('data', chunk => {
+    received += chunk.length;
+    if (!file) chunks.push(chunk);
+    onProgress?.(received, total);
+  });
+  res.on('error', error => {
+    file?.destroy();
+    reject(error);
+  });
 
-    let data = '';
-    res.on('data', chunk => data += chunk);
-    res.on('end', () => resolve(data));
-  }).on('error', reject);
+  if (file) {
+    res.pipe(file);
+    file.on('finish', () => total && received < total ? reject(new Error(`Download incomplete, received ${received} of ${total} bytes`)) : resolve());
+    file.on('error', reject);
+  } else res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
 });
 
-const downloadFile = (url, dest) => new Promise((resolve, reject) => {
-  const file = fs.createWriteStream(dest);
+const httpRequest = async (url, {headers = {}, dest = null, onProgress = null} = {}) => {
+  let attempt = 0, redirects = 0;
+
+  const retry = async (error) => {
+    if (attempt >= runtime.retries) throw Object.assign(error, {unreachable: !error.statusCode || error.statusCode >= 500});
+
+    const delay = RETRY_DELAY * 2 ** attempt++;
+    log(`  ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}${error.message}, retrying in ${delay / 1000}s (${attempt}/${runtime.retries})${COLORS.reset}`);
+    await wait(delay);
+  };
+
+  while (true) {
+    let res;
+
+    try {
+      res = await sendRequest(url, headers);
+    } catch (error) {
+      await retry(error);
+      continue;
+    }
 
-  https.get(url, res => {
-    if (res.statusCode === 302 || res.statusCode === 301) {
-      fs.unlinkSync(dest);
-      return downloadFile(res.headers.location, dest).then(resolve).catch(reject);
+    if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+      res.resume();
+      if (++redirects > MAX_REDIRECTS) throw new Error(`Too many redirects, gave up after ${MAX_REDIRECTS}`);
+      [url, headers] = getRedirect(url, res.headers.location, headers);
+      continue;
     }
+
     if (res.statusCode !== 200) {
-      fs.unlinkSync(dest);
-      return reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage || 'Request failed'}`));
+      res.resume();
+      const error = Object.assign(new Error(`HTTP ${res.statusCode}: ${res.statusMessage || 'Request failed'}`), {statusCode: res.statusCode});
+      if (res.statusCode < 500) throw error;
+      await retry(error);
+      continue;
     }
 
-    res.pipe(file);
-    file.on('finish', () => {
-      file.close();
-      resolve();
-    });
-  }).on('error', err => {
-    fs.unlinkSync(dest);
-    reject(err);
-  });
+    try {
+      return await readResponse(res, dest, onProgress);
+    } catch (error) {
+      await retry(error);
+    }
+  }
+};
 
-  file.on('error', err => {
-    fs.unlinkSync(dest);
-    reject(err);
-  });
-});
+const fetchUrl = (url, headers = {}) => httpRequest(url, {headers});
+
+const downloadFile = (url, dest, headers = {}, onProgress = null) => httpRequest(url, {headers, dest, onProgress});
+
+const createProgressBar = () => {
+  if (!runtime.cli || runtime.json || !process.stdout.isTTY) return null;
+
+  return {
+    update: (received, total) => {
+      const filled = total ? Math.round(received / total * 30) : 0;
+      const percent = total ? `${Math.floor(received / total * 100)}%`.padStart(5) : '';
+      process.stdout.write(`\r  ${COLORS.cyan}${'█'.repeat(filled)}${COLORS.gray}${'░'.repeat(30 - filled)}${COLORS.reset}${percent} ${COLORS.dim}${formatSize(received)}${total ? ` / ${formatSize(total)}` : ''}${COLORS.reset}\x1b[K`);
+    },
+    done: () => process.stdout.write('\r\x1b[K')
+  };
+};
+
+const promptUser = (question, defaultValue = '') => new Promise((resolve, reject) => {
+  if (!runtime.interactive) return reject(new AddonError('Input required, but running non-interactively', {exitCode: EXIT_CODES.inputRequired}));
 
-const promptUser = (question, defaultValue = '') => new Promise(resolve => {
   const rl = readline.createInterface({input: process.stdin, output: process.stdout});
   const prompt = defaultValue ? `${question} ${COLORS.dim}(${defaultValue})${COLORS.reset}: ` : `${question}: `;
+  let answered = false, cancelled = false;
+
+  rl.on('SIGINT', () => {
+    cancelled = true;
+    rl.close();
+  });
+  rl.on('close', () => {
+    if (answered) return;
+
+    log();
+    reject(cancelled
+      ? new AddonError('Cancelled at the prompt', {exitCode: EXIT_CODES.cancelled})
+      : new AddonError('Input required, but the input was closed', {exitCode: EXIT_CODES.inputRequired, hint: 'Pass --yes or --non-interactive when running without a terminal'}));
+  });
 
   rl.question(prompt, answer => {
+    answered = true;
     rl.close();
     resolve(answer.trim() || defaultValue);
   });
 });
 
-const getSimplVersion = () => {
-  const simplFile = path.join(process.cwd(), '.simpl');
+const getSimplFile = () => path.join(runtime.projectDir, '.simpl');
+
+const getLocalReleasesDir = () => process.env.SIMPL_LOCAL_RELEASES || path.join(runtime.projectDir, 'local-releases');
+
+const readSimplConfig = () => {
+  const simplFile = getSimplFile();
+
+  if (!fs.existsSync(simplFile)) throw new Error(`Not a Simpl project. Missing .simpl file in ${runtime.projectDir === process.cwd() ? 'current directory' : runtime.projectDir}.`);
+
+  return JSON.parse(fs.readFileSync(simplFile, 'utf8'));
+};
+
+const getSimplVersion = () => {
+  const config = readSimplConfig();
+
+  if (!config.version) throw new Error('Invalid .simpl file: missing version field');
+
+  return config.version;
+};
+
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+const ENV_LINE_PATTERN = /^\s*(export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/;
+
+const findClosingQuote = (text, quote) => {
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && quote !== "'") i++;
+    else if (text[i] === quote) return i;
+  }
+
+  return -1;
+};
+
+const parseDotenv = (content) => {
+  const lines = content.split('\n');
+  const entries = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(ENV_LINE_PATTERN);
+
+    if (!match) {
+      const trimmed = lines[i].trim();
+      entries.push({type: !trimmed ? 'blank' : trimmed.startsWith('#') ? 'comment' : 'other', lines: [lines[i]]});
+      continue;
+    }
+
+    const [, exported, key, rest] = match;
+    const quote = /^["'`]/.test(rest) ? rest[0] : null;
+    const raw = [lines[i]];
+    let value = rest.replace(/\s+#.*$/, '').trim();
+
+    if (quote) {
+      let body = rest.slice(1);
+      while (findClosingQuote(body, quote) === -1 && i + 1 < lines.length) {
+        body += '\n' + lines[++i];
+        raw.push(lines[i]);
+      }
+
+      const end = findClosingQuote(body, quote);
+      value = end === -1 ? body : body.slice(0, end);
+      if (quote === '"') value = value.replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+    }
+
+    entries.push({type: 'var', key, value, exported: Boolean(exported), lines: raw});
+  }
+
+  return entries;
+};
+
+const formatEnvValue = (value) => /^[\w.,:/@+-]*$/.test(value) ? value : `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+const isEnvFile = (filePath) => ['.env', '.env.example'].includes(path.basename(filePath));
+
+const getEnvKeys = (content) => parseDotenv(content).filter(({type}) => type === 'var').map(({key}) => key);
+
+const setEnvValue = (content, key, value) => parseDotenv(content).flatMap(entry => entry.type === 'var' && entry.key === key
+  ? [`${entry.exported ? 'export ' : ''}${key}=${formatEnvValue(value)}`]
+  : entry.lines).join('\n');
+
+const hashBlock = (lines, isEnv = false) => hashContent(isEnv
+  ? parseDotenv(lines.join('\n')).map(entry => entry.type === 'var' ? `${entry.exported ? 'export ' : ''}${entry.key}=` : entry.lines.join('\n')).join('\n')
+  : lines.join('\n'));
+
+const createManifestEntry = (version, manifest, toCopy, writes, registry = DEFAULT_REGISTRY) => ({
+  version,
+  ...(registry !== DEFAULT_REGISTRY ? {registry} : {}),
+  installedAt: new Date().toISOString(),
+  requires: manifest.requires.map(dependency => parseAddonRef(dependency).name),
+  conflicts: manifest.conflicts,
+  files: toCopy.map(({srcPath, relativePath, backup}) => ({path: relativePath, hash: hashContent(fs.readFileSync(srcPath)), ...(backup ? {backup} : {})})),
+  blocks: writes.flatMap(({relativePath, isEnv, operations}) => operations.filter(op => op.success).map(op => ({
+    file: relativePath,
+    type: op.type,
+    ...(op.id ? {id: op.id} : {}),
+    ...(op.type === 'replace' ? {anchor: op.markerName, original: op.replacedLine} : op.searchText ? {anchor: op.searchText} : {}),
+    ...(op.type === 'json' ? {key: op.keyPath, value: op.value, ...(op.items ? {items: true} : {})} : {}),
+    hash: hashBlock(op.content, isEnv),
+    lines: op.content.length
+  }))),
+  env: [...new Set(writes.filter(({isEnv}) => isEnv).flatMap(({operations}) => operations.filter(op => op.success).flatMap(op => getEnvKeys(op.content.join('\n')))))]
+});
+
+const mergeManifestEntry = (existing, entry) => {
+  if (!existing) return entry;
+
+  const files = [...existing.files.filter(file => !entry.files.some(({path: filePath}) => filePath === file.path)), ...entry.files];
+  const sameBlock = (a, b) => a.file === b.file && (a.id && b.id ? a.id === b.id : a.hash === b.hash);
+  const blocks = [
+    ...existing.blocks.filter(block => !entry.blocks.some(updated => updated.id && sameBlock(block, updated))),
+    ...entry.blocks.filter(block => block.id || !existing.blocks.some(current => sameBlock(current, block))).map(block => {
+      const previous = existing.blocks.find(current => sameBlock(current, block));
+      return block.original === undefined && previous?.original !== undefined ? {...block, original: previous.original} : block;
+    })
+  ];
+
+  return {...entry, files, blocks, env: [...new Set([...existing.env, ...entry.env])]};
+};
+
+const serializeSimplConfig = (config) => JSON.stringify(config, null, 2) + '\n';
+
+const showHelp = () => {
+  log();
+  log(`  ╭${'─'.repeat(62)}╮`);
+  log(`  │  ${COLORS.bold}Simpl Add-on Installer${COLORS.reset}${' '.repeat(38)}│`);
+  log(`  ╰${'─'.repeat(62)}╯`);
+  log();
+  log(`  ${COLORS.bold}Usage:${COLORS.reset}`, 'blue');
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon <add-on> [add-on...]${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon <registry>/<add-on>${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon <add-on> --dry-run${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon remove <add-on>${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon upgrade [add-on]${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon status${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon cache list|clean${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon validate <dir> [--project=<dir>]${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon pack <dir> [--simpl-version=<version>] [--output=<dir>]${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon info <add-on>${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon search <term>${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon --list${COLORS.reset}`);
+  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon --help${COLORS.reset}`);
+  log();
+  log(`  ${COLORS.bold}Commands:${COLORS.reset}`, 'blue');
+  log(`    ${COLORS.dim}--help, -h${COLORS.reset}    Show this help message`);
+  log(`    ${COLORS.dim}--dry-run${COLORS.reset}     Preview the install plan without writing files`);
+  log(`    ${COLORS.dim}--json${COLORS.reset}        Print one machine-readable JSON report`);
+  log(`    ${COLORS.dim}--yes, -y${COLORS.reset}     Never prompt, run post-install steps, fail when input would be required`);
+  log(`    ${COLORS.dim}--non-interactive${COLORS.reset} Like --yes, but never run post-install steps (for CI)`);
+  log(`    ${COLORS.dim}--on-conflict${COLORS.reset} keep, overwrite or sidecar for existing files without markers`);
+  log(`    ${COLORS.dim}--skip-scripts${COLORS.reset} Don't run the post-install steps of add-ons`);
+  log(`    ${COLORS.dim}--no-verify${COLORS.reset}   Skip the checksum check of downloaded archives`);
+  log(`    ${COLORS.dim}--offline${COLORS.reset}     Only use the cache and local releases, never the network`);
+  log(`    ${COLORS.dim}--timeout${COLORS.reset}     Seconds to wait for a response before retrying (default 30)`);
+  log(`    ${COLORS.dim}--retries${COLORS.reset}     Times to retry failed requests (default 3)`);
+  log(`    ${COLORS.dim}--set${COLORS.reset}         NAME=value for a {{NAME}} placeholder in add-on files, repeatable`);
+  log(`    ${COLORS.dim}--list${COLORS.reset}        List available add-ons and whether they are installed`);
+  log(`    ${COLORS.dim}info${COLORS.reset}          Show the details and files of an add-on`);
+  log(`    ${COLORS.dim}search${COLORS.reset}        Find add-ons by name or description`);
+  log(`    ${COLORS.dim}remove${COLORS.reset}        Uninstall an add-on recorded in .simpl`);
+  log(`    ${COLORS.dim}upgrade${COLORS.reset}       Re-apply installed add-ons for the version in .simpl`);
+  log(`    ${COLORS.dim}status${COLORS.reset}        Check whether installed add-ons are still fully applied`);
+  log(`    ${COLORS.dim}cache${COLORS.reset}         List (cache list) or delete (cache clean) cached downloads`);
+  log(`    ${COLORS.dim}validate${COLORS.reset}      Check the markers of an add-on source tree against a project`);
+  log(`    ${COLORS.dim}pack${COLORS.reset}          Build an add-on zip and its versions.json entry into dist/`);
+  log();
+  log(`  ${COLORS.bold}Note:${COLORS.reset}`, 'blue');
+  log(`    Run this command from the root of your Simpl project.`);
+  log(`    The add-on version will match your Simpl framework version.`);
+  log(`    Extra registries are read from .simpl and ${USER_CONFIG_FILE}.`);
+  log();
+};
+
+const normalizeRegistry = (entry, baseDir, origin) => {
+  if (!isPlainObject(entry) || typeof entry.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(entry.name)) throw new Error(`Invalid registry in ${origin}: every registry needs a name made of letters, numbers, - and _`);
+  if (!entry.url === !entry.path) throw new Error(`Invalid registry "${entry.name}" in ${origin}: set either url or path`);
+  if (entry.url && !/^https:\/\//.test(entry.url)) throw new Error(`Invalid registry "${entry.name}" in ${origin}: url must start with https://`);
+  if (entry.auth && typeof entry.auth.env !== 'string') throw new Error(`Invalid registry "${entry.name}" in ${origin}: auth needs the name of an environment variable in env`);
+
+  return {
+    name: entry.name,
+    url: entry.url ? entry.url.replace(/\/+$/, '') : null,
+    dir: entry.path ? path.resolve(baseDir, entry.path) : null,
+    auth: entry.auth ? {env: entry.auth.env, header: entry.auth.header || null} : null
+  };
+};
+
+const readUserConfig = () => {
+  if (!fs.existsSync(USER_CONFIG_FILE)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(USER_CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${USER_CONFIG_FILE}: ${error.message}`);
+  }
+};
+
+let registries = null;
+
+const getRegistries = () => registries ??= (() => {
+  const project = fs.existsSync(getSimplFile()) ? readSimplConfig().registries || [] : [];
+  const user = readUserConfig().registries || [];
+
+  if (!Array.isArray(project)) throw new Error('Invalid .simpl file: registries must be an array');
+  if (!Array.isArray(user)) throw new Error(`Invalid ${USER_CONFIG_FILE}: registries must be an array`);
+
+  const configured = [
+    ...project.map(entry => normalizeRegistry(entry, runtime.projectDir, '.simpl')),
+    ...user.map(entry => normalizeRegistry(entry, path.dirname(USER_CONFIG_FILE), USER_CONFIG_FILE))
+  ].filter((registry, index, list) => list.findIndex(({name}) => name === registry.name) === index);
+
+  if (!configured.some(({name}) => name === DEFAULT_REGISTRY)) configured.push({name: DEFAULT_REGISTRY, url: CDN_BASE, dir: getLocalReleasesDir(), auth: null});
+
+  return configured;
+})();
+
+const getRegistry = (name = DEFAULT_REGISTRY) => {
+  const registry = getRegistries().find(entry => entry.name === name);
+  if (!registry) throw Object.assign(new Error(`Unknown registry "${name}", add it to .simpl or ${USER_CONFIG_FILE}`), {exitCode: EXIT_CODES.addonNotFound});
+  return registry;
+};
+
+const getRegistryHeaders = (registry) => {
+  if (!registry.auth) return {};
+
+  const token = process.env[registry.auth.env];
+  if (!token) throw new Error(`The ${registry.name} registry needs the ${registry.auth.env} environment variable to be set`);
+
+  return registry.auth.header ? {[registry.auth.header]: token} : {Authorization: `Bearer ${token}`};
+};
+
+const parseAddonRef = (ref) => {
+  const index = ref.indexOf('/');
+  return index === -1 ? {registry: null, name: ref} : {registry: ref.slice(0, index), name: ref.slice(index + 1)};
+};
+
+const findAddon = (addons, ref) => {
+  const {registry, name} = parseAddonRef(ref);
+  return addons.find(addon => addon.name === name && (!registry || addon.registry === registry)) || null;
+};
+
+const versionsDataRequests = new Map();
+
+const writeCacheFile = (filePath, write) => {
+  try {
+    fs.mkdirSync(path.dirname(filePath), {recursive: true});
+    write();
+  } catch {
+    log(`  ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}Could not write to the cache at ${CACHE_DIR}${COLORS.reset}`);
+  }
+};
+
+const getCachedVersionsPath = (registry) => path.join(CACHE_DIR, registry.name, 'versions.json');
+
+const readCachedVersionsData = (registry, maxAge = Infinity) => {
+  const cachePath = getCachedVersionsPath(registry);
+  if (!fs.existsSync(cachePath) || Date.now() - fs.statSync(cachePath).mtimeMs > maxAge) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const readLocalVersionsData = (dir) => {
+  const versionsPath = path.join(dir, 'versions.json');
+  if (!fs.existsSync(versionsPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(versionsPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${versionsPath}: ${error.message}`);
+  }
+};
+
+const fetchVersionsData = async (registry) => {
+  const fresh = readCachedVersionsData(registry, VERSIONS_CACHE_TTL);
+  if (fresh) return fresh;
+
+  if (runtime.offline) {
+    const cached = readCachedVersionsData(registry);
+    if (!cached) throw new Error(`No cached versions.json${registry.name !== DEFAULT_REGISTRY ? ` for the ${registry.name} registry` : ''} available, run once without --offline first`);
+    return cached;
+  }
+
+  let content;
+
+  try {
+    content = await fetchUrl(`${registry.url}/versions.json`, getRegistryHeaders(registry));
+  } catch (error) {
+    if (!error.unreachable) throw error;
+
+    const cached = readCachedVersionsData(registry);
+    if (cached) return cached;
+    throw Object.assign(new Error(CDN_UNREACHABLE), {cause: error});
+  }
+
+  const versionsData = JSON.parse(content);
+
+  writeCacheFile(getCachedVersionsPath(registry), () => fs.writeFileSync(getCachedVersionsPath(registry), content));
+
+  return versionsData;
+};
+
+const getVersionsData = (registry = getRegistry()) => {
+  if (!versionsDataRequests.has(registry.name)) versionsDataRequests.set(registry.name, registry.url
+    ? fetchVersionsData(registry)
+    : Promise.resolve().then(() => readLocalVersionsData(registry.dir) || {versions: {}}));
+
+  return versionsDataRequests.get(registry.name);
+};
+
+const getVersionMeta = (registry, version) => getVersionsData(registry).then(data => data.versions?.[version] || null, () => null);
+
+const getRegistryAddons = async (registry, version) => {
+  const localAddonsDir = registry.dir && path.join(registry.dir, version, 'add-ons');
+
+  if (localAddonsDir && fs.existsSync(localAddonsDir)) return fs.readdirSync(localAddonsDir, {withFileTypes: true})
+    .filter(entry => entry.isFile() && entry.name.endsWith('.zip'))
+    .map(entry => entry.name.replace('.zip', ''))
+    .sort();
+
+  if (!registry.url) return [];
+
+  const versionMeta = (await getVersionsData(registry)).versions[version];
+  return (versionMeta?.['add-ons'] || []).sort();
+};
+
+const getAvailableAddons = async (version) => {
+  const addons = [], failed = [];
+
+  for (const registry of getRegistries()) {
+    let names;
+
+    try {
+      names = await getRegistryAddons(registry, version);
+    } catch (error) {
+      failed.push({registry, error});
+      continue;
+    }
+
+    const versionMeta = await getVersionMeta(registry, version);
+
+    names.forEach(name => addons.push({
+      id: addons.some(addon => addon.name === name) ? `${registry.name}/${name}` : name,
+      name,
+      registry: registry.name,
+      meta: getAddonMeta(versionMeta, name)
+    }));
+  }
+
+  if (failed.length === getRegistries().length) throw failed[0].error;
+
+  failed.forEach(({registry, error}) => {
+    log();
+    log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Skipped the ${registry.name} registry: ${error.message}${COLORS.reset}`);
+  });
+
+  return addons;
+};
+
+const printAddonChoices = (addons) => addons.forEach(({id, registry}, index) => {
+  log(`    ${COLORS.cyan}${index + 1}.${COLORS.reset} ${id}${registry !== DEFAULT_REGISTRY && !id.includes('/') ? ` ${COLORS.dim}(${registry})${COLORS.reset}` : ''}`);
+});
+
+const parseSelection = (input, addons) => {
+  const selected = [];
+
+  input.split(/[\s,]+/).filter(Boolean).forEach(token => {
+    const range = token.match(/^(\d+)-(\d+)$/);
+
+    if (range) {
+      const [from, to] = [parseInt(range[1], 10), parseInt(range[2], 10)];
+      if (from < 1 || to > addons.length || from > to) throw new Error(`Invalid range "${token}"`);
+      for (let i = from; i <= to; i++) selected.push(addons[i - 1]);
+    } else if (/^\d+$/.test(token)) {
+      const index = parseInt(token, 10);
+      if (index < 1 || index > addons.length) throw new Error(`Invalid selection "${token}"`);
+      selected.push(addons[index - 1]);
+    } else if (addons.includes(token)) selected.push(token);
+    else throw new Error(`Invalid selection "${token}"`);
+  });
+
+  return [...new Set(selected)];
+};
+
+const normalizeAddonManifest = (manifest = {}) => ({
+  description: manifest.description || '',
+  requires: manifest.requires || [],
+  conflicts: manifest.conflicts || [],
+  secrets: manifest.secrets || [],
+  variables: (manifest.variables || [])
+    .map(variable => typeof variable === 'string' ? {name: variable, prompt: '', default: null} : {name: variable?.name, prompt: variable?.prompt || '', default: variable?.default != null ? String(variable.default) : null})
+    .filter(({name}) => typeof name === 'string' && VARIABLE_NAME.test(name)),
+  postInstall: (manifest['post-install'] || [])
+    .map(step => typeof step === 'string' ? {run: step, description: ''} : {run: step?.run, description: step?.description || ''})
+    .filter(({run}) => typeof run === 'string' && run.trim()),
+  minVersion: manifest['min-version'] || null
+});
+
+const getAddonMeta = (versionMeta, addonName) => versionMeta?.['add-on-meta']?.[addonName] || {};
+
+const readAddonManifest = (sourceDir, meta = {}) => {
+  const manifestPath = path.join(sourceDir, ADDON_MANIFEST);
+  if (!fs.existsSync(manifestPath)) return normalizeAddonManifest(meta);
+
+  try {
+    return normalizeAddonManifest({...meta, ...JSON.parse(fs.readFileSync(manifestPath, 'utf8'))});
+  } catch (error) {
+    throw new Error(`Invalid ${ADDON_MANIFEST}: ${error.message}`);
+  }
+};
+
+const renderTemplate = (text, values) => text.replace(VARIABLE_PATTERN, (placeholder, name) => values[name] ?? placeholder);
+
+const getProjectVariables = (config) => {
+  if (config.variables === undefined) return {};
+  if (!isPlainObject(config.variables) || Object.values(config.variables).some(value => typeof value !== 'string')) return fail(EXIT_CODES.notSimplProject, 'Invalid .simpl file: variables must be an object of strings');
+
+  return config.variables;
+};
+
+const parseVariables = (assignments = []) => Object.fromEntries(assignments.map(assignment => {
+  const [, name, value] = assignment.match(/^([A-Z][A-Z0-9_]*)=(.*)$/s) || [];
+  if (!name) return fail(EXIT_CODES.error, `Invalid --set value ${COLORS.bold}${assignment}${COLORS.reset}${COLORS.red}, use NAME=value with an uppercase name`);
+
+  return [name, value];
+}));
+
+const getVariableDefaults = (variables, values) => Object.fromEntries(variables.filter(variable => variable.default !== null).map(variable => [variable.name, renderTemplate(variable.default, values)]));
+
+const resolveVariables = async (addonName, variables, values) => {
+  const resolved = {...values};
+  const missing = variables.filter(({name}) => resolved[name] === undefined);
+
+  if (missing.length > 0 && runtime.interactive) log();
+
+  for (const {name, prompt, default: fallback} of missing) {
+    const defaultValue = fallback !== null ? renderTemplate(fallback, resolved) : '';
+
+    if (runtime.interactive) {
+      while (!resolved[name]) resolved[name] = await promptUser(prompt ? `  ${prompt} ${COLORS.dim}({{${name}}})${COLORS.reset}` : `  {{${name}}}`, defaultValue);
+    } else if (fallback !== null) resolved[name] = defaultValue;
+    else return fail(EXIT_CODES.inputRequired, `Missing a value for ${COLORS.bold}{{${name}}}${COLORS.reset}${COLORS.red} used by ${addonName}`, {hint: `Pass --set ${name}=<value> or add it under "variables" in .simpl`});
+  }
+
+  return resolved;
+};
+
+const removeEmptyDirs = (dir) => fs.readdirSync(dir, {withFileTypes: true}).filter(entry => entry.isDirectory()).forEach(entry => {
+  const subDir = path.join(dir, entry.name);
+
+  removeEmptyDirs(subDir);
+  if (fs.readdirSync(subDir).length === 0) fs.rmdirSync(subDir);
+});
+
+const renderAddonFiles = (sourceDir, values) => {
+  if (Object.keys(values).length === 0) return;
+
+  listFiles(sourceDir).filter(file => file !== ADDON_MANIFEST).forEach(file => {
+    const srcPath = path.join(sourceDir, file);
+    const destPath = resolveEntryPath(sourceDir, renderTemplate(file, values));
+    const content = fs.readFileSync(srcPath);
+
+    if (!content.includes(0)) {
+      const rendered = renderTemplate(content.toString('utf8'), values);
+      if (rendered !== content.toString('utf8')) fs.writeFileSync(srcPath, rendered);
+    }
+
+    if (destPath !== srcPath) {
+      fs.mkdirSync(path.dirname(destPath), {recursive: true});
+      fs.renameSync(srcPath, destPath);
+    }
+  });
+
+  removeEmptyDirs(sourceDir);
+};
+
+const compareVersions = (a, b) => {
+  const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    if ((partsA[i] || 0) !== (partsB[i] || 0)) return (partsA[i] || 0) - (partsB[i] || 0);
+  }
+
+  return 0;
+};
+
+const resolveInstallPlan = async (requested, {version, available, installed, tempDirs}) => {
+  const fetched = new Map(), satisfied = new Set();
+  const requestedNames = requested.map(ref => parseAddonRef(ref).name);
+
+  const fetchAddon = async (ref, requiredBy) => {
+    const addon = findAddon(available, ref);
+
+    if (!addon) throw Object.assign(new Error(`Add-on "${ref}"${requiredBy ? ` (required by "${requiredBy}")` : ''} is not available for v${version}`), {exitCode: EXIT_CODES.addonNotFound});
+
+    if (fetched.has(addon.name)) {
+      if (requiredBy) fetched.get(addon.name).requiredBy.push(requiredBy);
+      return;
+    }
+
+    log();
+    log(`  📦 Downloading ${COLORS.cyan}${addon.id}${COLORS.reset} add-on...`, 'bold');
+
+    const {sourceDir, tempDir, source} = await downloadAddon(addon.name, version, getRegistry(addon.registry));
+    tempDirs.push(tempDir);
+
+    const manifest = readAddonManifest(sourceDir, addon.meta);
+    fetched.set(addon.name, {name: addon.name, registry: addon.registry, sourceDir, source, manifest, requiredBy: requiredBy ? [requiredBy] : []});
+
+    for (const dependency of manifest.requires) {
+      const dependencyName = parseAddonRef(dependency).name;
+
+      if (installed[dependencyName] && !requestedNames.includes(dependencyName)) satisfied.add(dependencyName);
+      else await fetchAddon(dependency, addon.name);
+    }
+  };
+
+  for (const ref of requested) await fetchAddon(ref);
+
+  const order = [], visiting = new Set(), visited = new Set();
+
+  const visit = (addonName, trail) => {
+    if (visited.has(addonName)) return;
+    if (visiting.has(addonName)) throw new Error(`Circular dependency: ${[...trail, addonName].join(' → ')}`);
+
+    visiting.add(addonName);
+    fetched.get(addonName).manifest.requires.map(dependency => parseAddonRef(dependency).name).filter(dependency => fetched.has(dependency)).forEach(dependency => visit(dependency, [...trail, addonName]));
+    visiting.delete(addonName);
+    visited.add(addonName);
+    order.push(fetched.get(addonName));
+  };
+
+  requestedNames.forEach(addonName => visit(addonName, []));
+
+  const planned = order.map(({name}) => name);
+
+  order.forEach(({name, manifest}) => {
+    if (manifest.minVersion && compareVersions(version, manifest.minVersion) < 0) throw new Error(`Add-on "${name}" requires Simpl v${manifest.minVersion} or newer`);
+
+    manifest.conflicts.forEach(conflict => {
+      if (planned.includes(conflict)) throw new Error(`Add-on "${name}" conflicts with "${conflict}", they cannot be installed together`);
+      if (installed[conflict]) throw new Error(`Add-on "${name}" conflicts with the installed add-on "${conflict}"`);
+    });
+  });
+
+  Object.entries(installed).forEach(([name, entry]) => (entry.conflicts || []).forEach(conflict => {
+    if (planned.includes(conflict)) throw new Error(`The installed add-on "${name}" conflicts with "${conflict}"`);
+  }));
+
+  return {order, satisfied: [...satisfied]};
+};
+
+const printInstallSummary = (summary, dryRun) => {
+  const width = Math.max(...summary.map(({name}) => name.length));
+  const count = (value, label, color) => value > 0 ? `${COLORS[color]}${value} ${label}${COLORS.reset}` : `${COLORS.dim}${value} ${label}${COLORS.reset}`;
+
+  log();
+  log(`  ${COLORS.bold}${dryRun ? 'Summary (dry run):' : 'Summary:'}${COLORS.reset}`, 'blue');
+  summary.forEach(({name, copied, replaced, skipped, merged, unchanged, failed}) => log(`    ${COLORS.cyan}${name.padEnd(width)}${COLORS.reset}  ${[
+    count(copied, 'copied', 'green'),
+    count(replaced, 'replaced', 'yellow'),
+    count(skipped, 'skipped', 'gray'),
+    count(merged, 'merged', 'green'),
+    count(unchanged, 'unchanged', 'gray'),
+    count(failed, 'failed', 'red')
+  ].join(`${COLORS.dim} · ${COLORS.reset}`)}`));
+};
+
+const runCommand = (command) => new Promise(resolve => {
+  const child = spawn(command, {shell: true, cwd: runtime.projectDir, stdio: runtime.cli ? ['inherit', runtime.json ? process.stderr : 'inherit', 'inherit'] : ['ignore', 'pipe', 'pipe']});
+  const forward = (stream) => readline.createInterface({input: stream}).on('line', line => log(`    ${line}`));
+
+  if (!runtime.cli) [child.stdout, child.stderr].forEach(forward);
+
+  child.on('error', error => resolve({exitCode: null, error: error.message}));
+  child.on('close', (exitCode, signal) => resolve({exitCode, ...(signal ? {error: `Terminated by ${signal}`} : {})}));
+});
+
+const printPostInstallSteps = (steps) => {
+  log();
+  log('  ⚙️ Post-install steps:', 'bold');
+  steps.forEach(({addon, run, description}, index) => log(`    ${COLORS.cyan}${index + 1}.${COLORS.reset} ${run} ${COLORS.dim}(${addon}${description ? `: ${description}` : ''})${COLORS.reset}`));
+};
+
+const runPostInstallSteps = async (steps, skipScripts) => {
+  if (steps.length === 0) return [];
+
+  printPostInstallSteps(steps);
+
+  let confirmed = runtime.yes && !skipScripts;
+
+  if (skipScripts) {
+    log();
+    log(`  ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}Skipped ${steps.length} step${steps.length !== 1 ? 's' : ''} (--skip-scripts), run them yourself when ready${COLORS.reset}`);
+  } else if (!confirmed && runtime.interactive) {
+    log();
+    confirmed = /^y(es)?$/i.test(await promptUser(`  Run ${steps.length !== 1 ? 'these steps' : 'this step'} now? ${COLORS.dim}(y/n)${COLORS.reset}`, 'n'));
+  } else if (!confirmed) {
+    log();
+    log(`  ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}Not running ${steps.length !== 1 ? 'these steps' : 'this step'} without --yes, run ${steps.length !== 1 ? 'them' : 'it'} yourself when ready${COLORS.reset}`);
+  }
+
+  if (!confirmed) return steps.map(step => ({...step, status: 'skipped'}));
+
+  const results = [];
+
+  for (const step of steps) {
+    log();
+    log(`  ${COLORS.bold}▸ ${step.run}${COLORS.reset}`);
+
+    const {exitCode, error} = await runCommand(step.run);
+
+    if (exitCode === 0) log(`  ${COLORS.green}✓${COLORS.reset} Done`);
+    else log(`  ${COLORS.red}✗${COLORS.reset} ${error || `Failed with exit code ${exitCode}`}`, 'red');
+
+    results.push({...step, status: exitCode === 0 ? 'success' : 'failed', exitCode, ...(error ? {error} : {})});
+  }
+
+  return results;
+};
+
+const printInstallPlan = ({order, satisfied}) => {
+  log();
+  log('  🧩 Install plan:', 'bold');
+  order.forEach(({name, requiredBy}, index) => log(`    ${COLORS.cyan}${index + 1}.${COLORS.reset} ${name}${requiredBy.length > 0 ? ` ${COLORS.dim}(required by ${requiredBy.join(', ')})${COLORS.reset}` : ''}`));
+  satisfied.forEach(name => log(`    ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}${name} (already installed)${COLORS.reset}`));
+};
+
+const parseAnchor = (source, start) => {
+  const quote = source[start];
+
+  if (quote === '"' || quote === "'") {
+    let text = '';
+
+    for (let i = start + 1; i < source.length; i++) {
+      if (source[i] === '\\' && source[i + 1] === quote) {
+        text += quote;
+        i++;
+      } else if (source[i] === quote && /^\s*[,)]/.test(source.slice(i + 1))) return {anchor: {text}, display: text, next: i + 1};
+      else text += source[i];
+    }
+
+    return null;
+  }
+
+  if (quote === '/') {
+    let inClass = false;
+
+    for (let i = start + 1; i < source.length; i++) {
+      if (source[i] === '\\') i++;
+      else if (source[i] === '[') inClass = true;
+      else if (source[i] === ']') inClass = false;
+      else if (source[i] === '/' && !inClass) {
+        const body = source.slice(start + 1, i);
+        const flags = source.slice(i + 1).match(/^[a-z]*/)[0];
+        const display = `/${body}/${flags}`;
+
+        try {
+          return {anchor: {pattern: new RegExp(body, flags.replace(/[gy]/g, ''))}, display, next: i + 1 + flags.length};
+        } catch (error) {
+          return {error: `Invalid regular expression ${display}: ${error.message}`, display, next: i + 1 + flags.length};
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+const parseAnchorArguments = (line, start) => {
+  let i = start;
+  const skipSpaces = () => {
+    while (/\s/.test(line[i])) i++;
+  };
+
+  skipSpaces();
+  const main = parseAnchor(line, i);
+  if (!main) return null;
+
+  const marker = {anchor: main.anchor, occurrence: null, within: null, error: main.error || null};
+  const qualifiers = [];
+  i = main.next;
+
+  while (i < line.length) {
+    skipSpaces();
+    if (line[i] === ')') break;
+    if (line[i] !== ',') return {...marker, searchText: main.display, error: `Unexpected "${line.slice(i)}" in marker`};
+
+    i++;
+    skipSpaces();
+
+    const rest = line.slice(i);
+    const occurrence = rest.match(/^(first|last)\b/) || rest.match(/^nth\s*=\s*(\d+)/);
+    const within = rest.match(/^within\s*\(\s*/);
+
+    if (occurrence) {
+      marker.occurrence = occurrence[0].startsWith('nth') ? parseInt(occurrence[1], 10) : occurrence[1];
+      qualifiers.push(occurrence[0].replace(/\s+/g, ''));
+      i += occurrence[0].length;
+    } else if (within) {
+      const scope = parseAnchor(line, i + within[0].length);
+      if (!scope) return {...marker, searchText: main.display, error: 'Invalid within() scope in marker'};
+
+      marker.within = scope.anchor;
+      marker.error ||= scope.error || null;
+      qualifiers.push(`within(${scope.display})`);
+      i = scope.next;
+      skipSpaces();
+      if (line[i] !== ')') return {...marker, searchText: main.display, error: 'Unclosed within() scope in marker'};
+      i++;
+    } else return {...marker, searchText: main.display, error: `Unknown marker option "${rest.split(/[,)]/)[0].trim()}"`};
+  }
+
+  if (marker.occurrence === 0) marker.error = 'nth must be 1 or higher';
+
+  return {...marker, searchText: [main.display, ...qualifiers].join(', ')};
+};
+
+const extractMarkers = (content) => {
+  const markers = [];
+
+  content.split('\n').forEach((line, i) => {
+    const anchorMatch = line.match(/@addon-insert:(after|before)\s*\(/);
+    const anchorMarker = anchorMatch && parseAnchorArguments(line, anchorMatch.index + anchorMatch[0].length);
+    const replaceMatch = line.match(/@addon-insert:replace\s*\(\s*(["'])(.+?)\1\s*\)/);
+
+    if (anchorMarker) markers.push({type: anchorMatch[1], lineIndex: i, ...anchorMarker});
+    else if (replaceMatch) markers.push({type: 'replace', lineIndex: i, markerName: replaceMatch[2]});
+    else if (line.includes('@addon-insert:prepend')) markers.push({type: 'prepend', lineIndex: i});
+    else if (line.includes('@addon-insert:append')) markers.push({type: 'append', lineIndex: i});
+  });
+
+  return markers;
+};
+
+const collectContentBetweenMarkers = (lines, startIndex) => {
+  const content = [];
+
+  for (let i = startIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim().includes('@addon-end')) break;
+    content.push(lines[i]);
+  }
+
+  return content;
+};
+
+const getCommentStyle = (filePath) => {
+  const name = path.basename(filePath), ext = path.extname(name).toLowerCase();
+
+  if (name === '.env' || name.startsWith('.env.') || name === '.htaccess' || ['.sh', '.yml', '.yaml', '.conf'].includes(ext)) return {open: '# ', close: ''};
+  if (['.php', '.js', '.mjs', '.cjs', '.ts', '.jsx', '.tsx', '.scss', '.less'].includes(ext)) return {open: '// ', close: ''};
+  if (ext === '.css') return {open: '/* ', close: ' */'};
+  if (['.html', '.htm', '.xml', '.svg', '.vue'].includes(ext)) return {open: '<!-- ', close: ' -->'};
+
+  return null;
+};
+
+const isInsidePhp = (lines, index) => {
+  const before = lines.slice(0, index).join('\n');
+  const open = Math.max(before.lastIndexOf('<?php'), before.lastIndexOf('<?='));
+
+  return open !== -1 && before.indexOf('?>', open) === -1;
+};
+
+const getBlockStyle = (style, filePath, lines, index) => path.extname(filePath).toLowerCase() === '.php' && !isInsidePhp(lines, index) ? {open: '<?php /* ', close: ' */ ?>'} : style;
+
+const getBlockId = (marker) => {
+  const label = marker.type === 'replace' ? marker.markerName : marker.searchText || '';
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40).replace(/^-+|-+$/g, '');
+  return slug ? `${marker.type}-${slug}` : marker.type;
+};
+
+const assignBlockIds = (markers) => {
+  const used = {};
+
+  return markers.map(marker => {
+    const id = getBlockId(marker);
+    used[id] = (used[id] || 0) + 1;
+    return used[id] > 1 ? `${id}-${used[id]}` : id;
+  });
+};
+
+const createSentinel = (style, edge, key, indent = '') => `${indent}${style.open}simpl-addon:${edge} ${key}${style.close}`;
+
+const findSentinelBlock = (lines, key) => {
+  const matchesKey = (line, edge) => line.match(/simpl-addon:(begin|end) (\S+)/)?.slice(1).join(' ') === `${edge} ${key}`;
+  const start = lines.findIndex(line => matchesKey(line, 'begin'));
+  if (start === -1) return null;
+
+  const end = lines.findIndex((line, i) => i > start && matchesKey(line, 'end'));
+  return end === -1 ? null : {start, end};
+};
+
+const moveOutOfBlocks = (lines, index, type) => {
+  let start = -1;
+
+  for (let i = 0; i < lines.length; i++) {
+    const edge = lines[i].match(/simpl-addon:(begin|end) \S+/)?.[1];
+
+    if (edge === 'begin' && start === -1) start = i;
+    else if (edge === 'end' && start !== -1) {
+      if (start < index && index <= i) return type === 'before' ? start : i + 1;
+      start = -1;
+    }
+  }
+
+  return index;
+};
+
+const wrapBlock = (content, style, key) => {
+  const indent = content.find(line => line.trim() && !/^(<{7}|={7}|>{7})( |$)/.test(line))?.match(/^\s*/)[0] || '';
+  return [createSentinel(style, 'begin', key, indent), ...content, createSentinel(style, 'end', key, indent)];
+};
+
+const normalizeContent = (lines) => lines.map(l => l.trim()).filter(l => l && !l.startsWith('//') && !l.startsWith('#') && !l.startsWith('/*') && !l.startsWith('*')).join('|');
+
+const buildEnvBlock = (content, resolveEntry) => {
+  const output = [], keys = [];
+  let comments = [], afterVar = false, gap = false;
+
+  parseDotenv(content.join('\n')).forEach(entry => {
+    if (entry.type === 'var') {
+      const lines = resolveEntry(entry);
+      afterVar = true;
+      if (!lines) return;
+
+      if (gap && output.length > 0) output.push('');
+      output.push(...comments, ...lines);
+      keys.push(entry.key);
+      comments = [];
+      gap = false;
+    } else if (entry.type === 'comment') {
+      if (afterVar) comments = [];
+      comments.push(...entry.lines);
+      afterVar = false;
+    } else {
+      comments = [];
+      afterVar = false;
+      gap = gap || entry.type === 'blank';
+    }
+  });
+
+  return {content: output, keys};
+};
+
+const processEnvContent = (content, targetContent) => {
+  const existing = new Set(getEnvKeys(targetContent));
+  const {content: lines, keys} = buildEnvBlock(content, entry => {
+    if (existing.has(entry.key)) return null;
+
+    existing.add(entry.key);
+    return entry.lines;
+  });
+
+  return {content: lines, count: keys.length, keys};
+};
+
+const findAnchorLines = (lines, anchor, start = 0, end = lines.length - 1) => {
+  const matches = [];
+  for (let i = start; i <= end; i++) if (anchor.pattern ? anchor.pattern.test(lines[i]) : lines[i].includes(anchor.text)) matches.push(i);
+  return matches;
+};
+
+const countBrackets = (line) => {
+  let depth = 0, quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`') quote = char;
+    else if (char === '/' && line[i + 1] === '/') break;
+    else if ('{[('.includes(char)) depth++;
+    else if ('}])'.includes(char)) depth--;
+  }
+
+  return depth;
+};
+
+const findScopeEnd = (lines, start) => {
+  let depth = 0, opened = false;
+
+  for (let i = start; i < lines.length; i++) {
+    depth += countBrackets(lines[i]);
+    if (depth > 0) opened = true;
+    if (opened && depth <= 0) return i;
+  }
+
+  return lines.length - 1;
+};
+
+const findInsertIndex = (lines, marker) => {
+  let start = 0, end = lines.length - 1;
+
+  if (marker.within) {
+    const scopes = findAnchorLines(lines, marker.within);
+    if (scopes.length === 0) return {index: -1, reason: 'notfound'};
+    if (scopes.length > 1) return {index: -1, reason: 'ambiguous', matches: scopes};
+
+    start = scopes[0];
+    end = findScopeEnd(lines, start);
+  }
+
+  const matches = findAnchorLines(lines, marker.anchor, start, end);
+  let line;
+
+  if (matches.length === 0) return {index: -1, reason: 'notfound'};
+  if (marker.occurrence === 'last') line = matches[matches.length - 1];
+  else if (typeof marker.occurrence === 'number') line = matches[marker.occurrence - 1];
+  else if (marker.occurrence === 'first' || matches.length === 1) line = matches[0];
+  else return {index: -1, reason: 'ambiguous', matches};
+
+  if (line === undefined) return {index: -1, reason: 'notfound'};
+
+  return {index: marker.type === 'before' ? line : line + 1};
+};
+
+const findMarkerLine = (lines, markerName) => {
+  const markerPattern = new RegExp(`@addon-marker\\s*\\(\\s*["']${markerName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["']\\s*\\)`);
+  for (let i = 0; i < lines.length; i++) if (markerPattern.test(lines[i])) return i;
+  return -1;
+};
+
+const refreshEnvBlock = (content, existing, outside) => {
+  const current = new Map(parseDotenv(existing.join('\n')).filter(({type}) => type === 'var').map(({key, lines}) => [key, lines]));
+  const outsideKeys = new Set(getEnvKeys(outside));
+
+  return buildEnvBlock(content, entry => outsideKeys.has(entry.key) ? null : current.get(entry.key) || entry.lines).content;
+};
+
+const matchLines = (base, other) => {
+  const matches = new Array(base.length).fill(-1);
+  let i = 0, j = 0;
+
+  diffLines(base, other).forEach(({type}) => {
+    if (type === ' ') matches[i++] = j++;
+    else if (type === '-') i++;
+    else j++;
+  });
+
+  return matches;
+};
+
+const mergeThreeWay = (base, ours, theirs, theirsLabel) => {
+  const oursMatches = matchLines(base, ours), theirsMatches = matchLines(base, theirs);
+  const lines = [];
+  let conflicts = 0, b = 0, o = 0, t = 0;
+
+  const flush = (baseEnd, oursEnd, theirsEnd) => {
+    const baseChunk = base.slice(b, baseEnd).join('\n'), oursChunk = ours.slice(o, oursEnd), theirsChunk = theirs.slice(t, theirsEnd);
+
+    if (oursChunk.join('\n') === baseChunk) lines.push(...theirsChunk);
+    else if (theirsChunk.join('\n') === baseChunk || oursChunk.join('\n') === theirsChunk.join('\n')) lines.push(...oursChunk);
+    else {
+      conflicts++;
+      lines.push('<<<<<<< local', ...oursChunk, '=======', ...theirsChunk, `>>>>>>> ${theirsLabel}`);
+    }
+  };
+
+  base.forEach((line, i) => {
+    if (oursMatches[i] === -1 || theirsMatches[i] === -1) return;
+
+    flush(i, oursMatches[i], theirsMatches[i]);
+    lines.push(line);
+    b = i + 1;
+    o = oursMatches[i] + 1;
+    t = theirsMatches[i] + 1;
+  });
+
+  flush(base.length, ours.length, theirs.length);
+
+  return {lines, conflicts};
+};
+
+const collectBlocks = (addonContent) => {
+  const lines = addonContent.split('\n');
+  const markers = extractMarkers(addonContent);
+  const ids = assignBlockIds(markers);
+
+  return Object.fromEntries(markers.map((marker, i) => [ids[i], collectContentBetweenMarkers(lines, marker.lineIndex)]));
+};
+
+const mergeFile = (targetPath, addonContent, markers, isEnv = false, targetContent = fs.readFileSync(targetPath, 'utf8'), {addonName = null, base = null, label = 'add-on'} = {}) => {
+  const addonLines = addonContent.split('\n');
+  const style = addonName ? getCommentStyle(targetPath) : null;
+  const ids = assignBlockIds(markers);
+  const baseBlocks = base !== null ? collectBlocks(base) : {};
+  const operations = [];
+  let newContent = targetContent;
+
+  markers.forEach((marker, markerIndex) => {
+    let content = collectContentBetweenMarkers(addonLines, marker.lineIndex);
+    if (content.length === 0) return;
+
+    if (marker.error) {
+      operations.push({success: false, type: 'invalid', searchText: marker.searchText, message: marker.error});
+      return;
+    }
+
+    let lineCount = content.length;
+    let id = null, key = null;
+
+    if (style) {
+      id = ids[markerIndex];
+      key = `${addonName}/${id}`;
+
+      const targetLines = newContent.split('\n');
+      const existing = findSentinelBlock(targetLines, key);
+
+      if (existing) {
+        const current = targetLines.slice(existing.start + 1, existing.end);
+        const outside = [...targetLines.slice(0, existing.start), ...targetLines.slice(existing.end + 1)].join('\n');
+        const desired = isEnv ? refreshEnvBlock(content, current, outside) : content;
+        const details = {searchText: marker.searchText, markerName: marker.markerName, id};
+
+        if (desired.join('\n') === current.join('\n')) {
+          operations.push({success: false, type: marker.type, lines: desired.length, ...details});
+          return;
+        }
+
+        const merge = !isEnv && baseBlocks[id] ? mergeThreeWay(baseBlocks[id], current, desired, label) : {lines: desired, conflicts: 0};
+
+        targetLines.splice(existing.start, existing.end - existing.start + 1, ...wrapBlock(merge.lines, getBlockStyle(style, targetPath, targetLines, existing.start), key));
+        newContent = targetLines.join('\n');
+        const lines = isEnv ? getEnvKeys(desired.join('\n')).length : desired.length;
+        operations.push({success: true, type: marker.type, updated: true, lines, ...details, content: desired, ...(merge.conflicts ? {conflicts: merge.conflicts} : {})});
+        return;
+      }
+    }
+
+    const written = (lines, index) => style ? wrapBlock(content, getBlockStyle(style, targetPath, lines, index), key) : content;
+
+    if (isEnv) {
+      const processed = processEnvContent(content, newContent);
+      content = processed.content;
+      lineCount = processed.count;
+
+      if (content.length === 0) {
+        operations.push({success: false, type: marker.type, lines: 0, searchText: marker.searchText});
+        return;
+      }
+    } else {
+      const signature = normalizeContent(content);
+      const targetSignature = normalizeContent(newContent.split('\n'));
+
+      if (signature && targetSignature.includes(signature)) {
+        operations.push({success: false, type: marker.type, lines: content.length, searchText: marker.searchText || marker.markerName});
+        return;
+      }
+    }
+
+    if (marker.type === 'prepend') {
+      newContent = written([], 0).join('\n') + '\n' + newContent;
+      operations.push({success: true, type: 'prepend', lines: lineCount, id, content});
+    } else if (marker.type === 'append') {
+      if (!newContent.endsWith('\n')) newContent += '\n';
+      newContent += '\n' + written(newContent.split('\n'), Infinity).join('\n') + '\n';
+      operations.push({success: true, type: 'append', lines: lineCount, id, content});
+    } else if (marker.type === 'replace' && marker.markerName) {
+      const targetLines = newContent.split('\n');
+      const markerLine = findMarkerLine(targetLines, marker.markerName);
+
+      if (markerLine === -1) {
+        operations.push({success: false, type: 'notfound', markerName: marker.markerName});
+        return;
+      }
+
+      const [replacedLine] = targetLines.splice(markerLine, 1, ...written(targetLines, markerLine));
+      newContent = targetLines.join('\n');
+      operations.push({success: true, type: 'replace', lines: lineCount, markerName: marker.markerName, id, content, replacedLine});
+    } else if ((marker.type === 'after' || marker.type === 'before') && marker.anchor) {
+      const targetLines = newContent.split('\n');
+      const {index: insertIndex, reason, matches} = findInsertIndex(targetLines, marker);
+
+      if (insertIndex === -1) {
+        operations.push({success: false, type: reason, searchText: marker.searchText, ...(matches ? {matches: matches.map(line => line + 1)} : {})});
+        return;
+      }
+
+      const index = moveOutOfBlocks(targetLines, insertIndex, marker.type);
+
+      targetLines.splice(index, 0, ...written(targetLines, index));
+      newContent = targetLines.join('\n');
+      operations.push({success: true, type: marker.type, lines: lineCount, searchText: marker.searchText, id, content});
+    }
+  });
+
+  return {modified: newContent !== targetContent, operations, original: targetContent, content: newContent};
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const detectJsonIndent = (content) => content.match(/^[ \t]+(?=")/m)?.[0] || '  ';
+
+const parseJsonLayout = (text) => {
+  const unit = detectJsonIndent(text);
+  const lineIndent = (index) => text.slice(text.lastIndexOf('\n', index - 1) + 1).match(/^[ \t]*/)[0];
+  let pos = 0;
+
+  const skip = () => {
+    while (/\s/.test(text[pos] || '')) pos++;
+  };
+
+  const scanString = () => {
+    for (pos++; text[pos] !== '"'; pos += text[pos] === '\\' ? 2 : 1);
+    pos++;
+  };
+
+  const parseValue = () => {
+    skip();
+    const start = pos;
+
+    if (text[pos] === '"') scanString();
+    else if (text[pos] !== '{' && text[pos] !== '[') while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++;
+    else {
+      const close = text[pos] === '{' ? '}' : ']', children = [];
+
+      for (pos++, skip(); text[pos] !== close; skip()) {
+        const child = {start: pos};
+
+        if (close === '}') {
+          scanString();
+          child.keyRaw = text.slice(child.start, pos);
+          child.key = JSON.parse(child.keyRaw);
+          const colonStart = pos;
+          skip();
+          pos++;
+          skip();
+          child.colon = text.slice(colonStart, pos);
+        }
+
+        child.node = parseValue();
+        child.end = pos;
+        children.push(child);
+        skip();
+        if (text[pos] === ',') pos++;
+      }
+
+      pos++;
+      const inline = children.length > 0 && !text.slice(start, pos).includes('\n');
+
+      return {
+        start, end: pos, children, inline,
+        closeIndent: lineIndent(start),
+        memberIndent: children.length > 0 && !inline ? lineIndent(children[0].start) : lineIndent(start) + unit,
+        padStart: inline ? text.slice(start + 1, children[0].start) : '',
+        padEnd: inline ? text.slice(children[children.length - 1].end, pos - 1) : '',
+        separator: inline && children.length > 1 ? text.slice(children[0].end, children[1].start).replace(/^\s*,/, '') : null
+      };
+    }
+
+    return {start, end: pos};
+  };
+
+  return parseValue();
+};
+
+const serializeJson = (value, content) => {
+  const root = parseJsonLayout(content);
+  const unit = detectJsonIndent(content), eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const colon = root.children?.[0]?.colon ?? ': ', separator = colon.endsWith(' ') ? ' ' : '';
+  const source = (node) => content.slice(node.start, node.end);
+
+  const render = (value, node, base, inline) => {
+    if (node && JSON.stringify(value) === JSON.stringify(JSON.parse(source(node)))) return source(node);
+    if (!isPlainObject(value) && !Array.isArray(value)) return JSON.stringify(value);
+    if (node && (!node.children || Array.isArray(value) !== (content[node.start] === '['))) node = null;
+
+    const layout = node || {closeIndent: base, memberIndent: base + unit, padStart: '', padEnd: '', children: []};
+    const isInline = node?.children.length > 0 ? node.inline : inline || (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object'));
+    const used = new Set();
+    const parts = Array.isArray(value)
+      ? value.map(item => {
+        const child = layout.children.find(child => !used.has(child) && JSON.stringify(JSON.parse(source(child.node))) === JSON.stringify(item));
+        if (child) used.add(child);
+        return render(item, child?.node, layout.memberIndent, isInline);
+      })
+      : Object.entries(value).map(([key, item]) => {
+        const child = layout.children.find(child => child.key === key);
+        return `${child ? child.keyRaw : JSON.stringify(key)}${child ? child.colon : colon}${render(item, child?.node, layout.memberIndent, isInline)}`;
+      });
+    const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+
+    if (parts.length === 0) return open + close;
+    if (isInline) return `${open}${layout.padStart}${parts.join(`,${layout.separator ?? separator}`)}${layout.padEnd}${close}`;
+    return `${open}${eol}${parts.map(part => layout.memberIndent + part).join(`,${eol}`)}${eol}${layout.closeIndent}${close}`;
+  };
+
+  return content.slice(0, root.start) + render(value, root, '', false) + content.slice(root.end);
+};
+
+const parseJson = (content, fileName) => {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${fileName}: ${error.message}`);
+  }
+};
+
+const mergeJsonValues = (target, addon, keyPath, operations) => Object.entries(addon).forEach(([key, value]) => {
+  const childPath = [...keyPath, key];
+  const searchText = childPath.join('.');
+
+  if (!Object.hasOwn(target, key)) {
+    target[key] = value;
+    operations.push({success: true, type: 'json', keyPath: childPath, searchText, value, content: [JSON.stringify(value)]});
+  } else if (isPlainObject(target[key]) && isPlainObject(value)) {
+    mergeJsonValues(target[key], value, childPath, operations);
+  } else if (Array.isArray(target[key]) && Array.isArray(value)) {
+    const items = value.filter(item => !target[key].some(existing => JSON.stringify(existing) === JSON.stringify(item)));
+    if (items.length === 0) return;
+
+    target[key].push(...items);
+    operations.push({success: true, type: 'json', keyPath: childPath, searchText, value: items, items: true, lines: items.length, content: [JSON.stringify(items)]});
+  } else if (JSON.stringify(target[key]) !== JSON.stringify(value)) {
+    operations.push({success: false, type: 'conflict', keyPath: childPath, searchText, current: target[key], incoming: value});
+  }
+});
+
+const mergeJsonFile = (targetPath, addonContent, targetContent = fs.readFileSync(targetPath, 'utf8')) => {
+  const fileName = path.basename(targetPath);
+  const target = parseJson(targetContent, fileName), addon = parseJson(addonContent, fileName);
+  const operations = [];
+
+  if (!isPlainObject(target) || !isPlainObject(addon)) throw new Error(`Cannot merge ${fileName}, both files must contain a JSON object`);
+
+  mergeJsonValues(target, addon, [], operations);
+
+  const content = operations.some(op => op.success) ? serializeJson(target, targetContent) : targetContent;
+  return {modified: content !== targetContent, operations, original: targetContent, content};
+};
+
+const removeJsonBlocks = (content, blocks) => {
+  const target = parseJson(content, 'JSON file');
+  const operations = [];
+
+  blocks.forEach(block => {
+    const parent = block.key.slice(0, -1).reduce((node, key) => isPlainObject(node) ? node[key] : undefined, target);
+    const key = block.key[block.key.length - 1];
+    const current = isPlainObject(parent) ? parent[key] : undefined;
+
+    if (block.items && Array.isArray(current)) {
+      const remaining = current.filter(item => !block.value.some(added => JSON.stringify(added) === JSON.stringify(item)));
+      parent[key] = remaining;
+      operations.push({...block, success: remaining.length !== current.length, lines: current.length - remaining.length});
+    } else if (!block.items && current !== undefined && JSON.stringify(current) === JSON.stringify(block.value)) {
+      delete parent[key];
+      operations.push({success: true, ...block});
+    } else operations.push({success: false, ...block});
+  });
+
+  const modified = operations.some(op => op.success);
+
+  return {modified, operations, original: content, content: modified ? serializeJson(target, content) : content};
+};
+
+const diffLines = (oldLines, newLines) => {
+  let start = 0, oldEnd = oldLines.length, newEnd = newLines.length;
+
+  while (start < oldEnd && start < newEnd && oldLines[start] === newLines[start]) start++;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldLines.slice(start, oldEnd), b = newLines.slice(start, newEnd);
+  const lcs = Array.from({length: a.length + 1}, () => new Uint32Array(b.length + 1));
+
+  for (let i = a.length - 1; i >= 0; i--) for (let j = b.length - 1; j >= 0; j--) lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+
+  const ops = oldLines.slice(0, start).map(line => ({type: ' ', line}));
+  let i = 0, j = 0;
+
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({type: ' ', line: a[i++]});
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) ops.push({type: '-', line: a[i++]});
+    else ops.push({type: '+', line: b[j++]});
+  }
+
+  oldLines.slice(oldEnd).forEach(line => ops.push({type: ' ', line}));
+
+  return ops;
+};
+
+const createUnifiedDiff = (oldContent, newContent, fileName, context = 3) => {
+  const toLines = content => content === '' ? [] : content.replace(/\n$/, '').split('\n');
+  let oldLine = 1, newLine = 1;
+
+  const ops = diffLines(toLines(oldContent), toLines(newContent)).map(op => {
+    const entry = {...op, oldLine, newLine};
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return entry;
+  });
+
+  const changes = ops.reduce((indexes, op, i) => op.type === ' ' ? indexes : [...indexes, i], []);
+  const output = [`--- a/${fileName}`, `+++ b/${fileName}`];
+
+  for (let c = 0; c < changes.length;) {
+    const start = Math.max(0, changes[c] - context);
+    let end = changes[c];
+
+    while (c < changes.length && changes[c] - end <= context * 2) end = changes[c++];
+    end = Math.min(ops.length, end + context + 1);
+
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    const oldStart = oldCount ? hunk[0].oldLine : hunk[0].oldLine - 1;
+    const newStart = newCount ? hunk[0].newLine : hunk[0].newLine - 1;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...hunk.map(op => op.type + op.line));
+  }
+
+  return output;
+};
+
+const printDiff = (diff) => diff.forEach(line => {
+  if (line.startsWith('+++') || line.startsWith('---')) log(`    ${COLORS.bold}${line}${COLORS.reset}`);
+  else if (line.startsWith('@@')) log(`    ${line}`, 'cyan');
+  else if (line.startsWith('+')) log(`    ${line}`, 'green');
+  else if (line.startsWith('-')) log(`    ${line}`, 'red');
+  else log(`    ${line}`, 'dim');
+});
+
+const createChangeDiffs = (changes) => changes
+  .filter(change => change.type === 'write' && fs.existsSync(change.destPath) && !isPristinePath(change.destPath))
+  .map(({destPath, content}) => {
+    const relativePath = path.relative(runtime.projectDir, destPath).replace(/\\/g, '/');
+    return {file: relativePath, diff: createUnifiedDiff(fs.readFileSync(destPath, 'utf8'), content, relativePath).join('\n')};
+  });
+
+const printChangeDiffs = (diffs) => {
+  if (diffs.length === 0) return;
+
+  log();
+  log('  📝 Changes to existing files:', 'bold');
+  diffs.forEach(({diff}) => {
+    log();
+    printDiff(diff.split('\n'));
+  });
+};
+
+const printMergeResults = (relativePath, isEnv, result) => {
+  const indent = '    ';
+  const varText = isEnv ? 'environment variable' : 'line';
+  let hasChanges = false;
+
+  result.operations.forEach(op => {
+    if (op.success) {
+      hasChanges = true;
+      if (op.conflicts) log(`${indent}${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Conflict${op.conflicts !== 1 ? 's' : ''} in block${COLORS.reset} ${COLORS.cyan}${op.id}${COLORS.reset}${COLORS.yellow}, resolve the conflict markers manually${COLORS.reset}`);
+      else if (op.updated) log(`${indent}${COLORS.green}✓${COLORS.reset} Updated block ${COLORS.cyan}${op.id}${COLORS.reset} (${COLORS.bold}${op.lines}${COLORS.reset} ${varText}${op.lines !== 1 ? 's' : ''})`);
+      else if (op.type === 'json' && op.items) log(`${indent}${COLORS.green}✓${COLORS.reset} Added ${COLORS.bold}${op.lines}${COLORS.reset} item${op.lines !== 1 ? 's' : ''} to ${COLORS.cyan}${op.searchText}${COLORS.reset}`);
+      else if (op.type === 'json') log(`${indent}${COLORS.green}✓${COLORS.reset} Added ${COLORS.cyan}${op.searchText}${COLORS.reset}`);
+      else if (op.type === 'prepend') log(`${indent}${COLORS.green}✓${COLORS.reset} Prepended ${COLORS.bold}${op.lines}${COLORS.reset} ${varText}${op.lines !== 1 ? 's' : ''} to file start`);
+      else if (op.type === 'append') log(`${indent}${COLORS.green}✓${COLORS.reset} Appended ${COLORS.bold}${op.lines}${COLORS.reset} ${varText}${op.lines !== 1 ? 's' : ''} to file end`);
+      else if (op.type === 'replace') log(`${indent}${COLORS.green}✓${COLORS.reset} Replaced marker ${COLORS.cyan}${op.markerName}${COLORS.reset} with ${COLORS.bold}${op.lines}${COLORS.reset} ${varText}${op.lines !== 1 ? 's' : ''}`);
+      else if (op.type === 'after') log(`${indent}${COLORS.green}✓${COLORS.reset} Inserted ${COLORS.bold}${op.lines}${COLORS.reset} ${varText}${op.lines !== 1 ? 's' : ''} ${COLORS.cyan}after${COLORS.reset} ${COLORS.dim}${op.searchText}${COLORS.reset}`);
+      else if (op.type === 'before') log(`${indent}${COLORS.green}✓${COLORS.reset} Inserted ${COLORS.bold}${op.lines}${COLORS.reset} ${varText}${op.lines !== 1 ? 's' : ''} ${COLORS.cyan}before${COLORS.reset} ${COLORS.dim}${op.searchText}${COLORS.reset}`);
+    } else if (op.type === 'notfound') {
+      const target = op.markerName ? `marker ${COLORS.dim}${op.markerName}${COLORS.reset}` : `${COLORS.dim}${op.searchText}${COLORS.reset}`;
+      log(`${indent}${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Could not find target:${COLORS.reset} ${target}`);
+    } else if (op.type === 'ambiguous') {
+      log(`${indent}${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Ambiguous target:${COLORS.reset} ${COLORS.dim}${op.searchText}${COLORS.reset} ${COLORS.yellow}matches lines ${op.matches.join(', ')}${COLORS.reset}`);
+      log(`${indent}  ${COLORS.dim}Use first, last, nth=N or within(...) in the marker to pick one${COLORS.reset}`);
+    } else if (op.type === 'invalid') {
+      log(`${indent}${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Invalid marker:${COLORS.reset} ${op.message}`);
+    } else if (op.type === 'conflict') {
+      log(`${indent}${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Kept${COLORS.reset} ${COLORS.cyan}${op.searchText}${COLORS.reset} ${COLORS.yellow}as${COLORS.reset} ${JSON.stringify(op.current)}${COLORS.yellow}, the add-on wants${COLORS.reset} ${JSON.stringify(op.incoming)}`);
+    } else log(`${indent}${COLORS.gray}○${COLORS.reset} ${COLORS.dim}Content already exists (${op.type})${COLORS.reset}`);
+  });
+
+  return hasChanges;
+};
+
+const CRC32_TABLE = Array.from({length: 256}, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const readZipEntries = (buffer) => {
+  let eocd = -1;
+
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+
+  if (eocd === -1) throw new Error('Invalid or truncated ZIP archive');
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  if (entryCount === 0xffff || offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Invalid or truncated ZIP archive');
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const madeBy = buffer.readUInt16LE(offset + 4) >> 8;
+    const externalAttributes = buffer.readUInt32LE(offset + 38);
+    const unixMode = madeBy === 3 ? externalAttributes >>> 16 : 0;
+
+    entries.push({
+      name,
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      crc: buffer.readUInt32LE(offset + 16),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42),
+      isDirectory: name.endsWith('/') || (externalAttributes & 0x10) !== 0,
+      isSymlink: (unixMode & 0o170000) === 0o120000,
+      mode: unixMode & 0o777
+    });
+
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+};
+
+const readZipEntryData = (buffer, entry) => {
+  if (entry.flags & 0x1) throw new Error(`Encrypted entry "${entry.name}" is not supported`);
+  if (buffer.readUInt32LE(entry.localOffset) !== 0x04034b50) throw new Error(`Invalid local header for "${entry.name}"`);
+
+  const start = entry.localOffset + 30 + buffer.readUInt16LE(entry.localOffset + 26) + buffer.readUInt16LE(entry.localOffset + 28);
+  const compressed = buffer.subarray(start, start + entry.compressedSize);
+
+  if (compressed.length !== entry.compressedSize) throw new Error('Invalid or truncated ZIP archive');
+
+  let data;
+  if (entry.method === 0) data = compressed;
+  else if (entry.method === 8) data = zlib.inflateRawSync(compressed);
+  else throw new Error(`Unsupported compression method ${entry.method} for "${entry.name}"`);
+
+  if (data.length !== entry.size || crc32(data) !== entry.crc) throw new Error(`Checksum mismatch for "${entry.name}"`);
+
+  return data;
+};
+
+const createZip = (files) => {
+  const localParts = [], centralParts = [];
+  let offset = 0;
+
+  files.forEach(({name, data, mode = 0o644}) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? 8 : 0;
+    const stored = method === 8 ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(0x21, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(((0o100000 | mode) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, stored);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + stored.length;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+};
+
+const resolveEntryPath = (destDir, name) => {
+  const normalized = name.replace(/\\/g, '/');
+
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || normalized.includes('\0')) throw new Error(`Refusing to extract entry with unsafe path "${name}"`);
+
+  const target = path.resolve(destDir, normalized);
+  if (target !== destDir && !target.startsWith(destDir + path.sep)) throw new Error(`Refusing to extract "${name}" outside the extraction directory`);
+
+  return target;
+};
+
+const extractZip = async (zipPath, destDir) => {
+  fs.mkdirSync(destDir, {recursive: true});
+
+  const root = path.resolve(destDir);
+  const buffer = fs.readFileSync(zipPath);
+  const entries = readZipEntries(buffer).map(entry => {
+    if (entry.isSymlink) throw new Error(`Refusing to extract symbolic link "${entry.name}"`);
+    return {...entry, target: resolveEntryPath(root, entry.name)};
+  });
+
+  entries.forEach(entry => {
+    if (entry.isDirectory) return fs.mkdirSync(entry.target, {recursive: true});
+
+    fs.mkdirSync(path.dirname(entry.target), {recursive: true});
+    fs.writeFileSync(entry.target, readZipEntryData(buffer, entry));
+    if (entry.mode) fs.chmodSync(entry.target, entry.mode);
+  });
+
+  const extracted = fs.readdirSync(destDir, {withFileTypes: true});
+
+  if (extracted.length === 1 && extracted[0].isDirectory()) {
+    const nestedDir = path.join(destDir, extracted[0].name);
+    fs.readdirSync(nestedDir).forEach(item => fs.renameSync(path.join(nestedDir, item), path.join(destDir, item)));
+    fs.rmdirSync(nestedDir);
+  }
+
+  return destDir;
+};
+
+const processAddonFiles = (addonDir, targetDir, stage) => {
+  const toCopy = [], skipped = [], toMerge = [];
+
+  const processDirectory = (dir, basePath = '') => fs.readdirSync(dir, {withFileTypes: true}).forEach(entry => {
+    if (entry.name === 'README.md' || (!basePath && entry.name === ADDON_MANIFEST)) return;
+
+    const srcPath = path.join(dir, entry.name);
+    const relativePath = path.join(basePath, entry.name).replace(/\\/g, '/');
+    const destPath = path.join(targetDir, relativePath);
+
+    if (entry.isDirectory()) {
+      processDirectory(srcPath, relativePath);
+    } else {
+      const content = fs.readFileSync(srcPath, 'utf8');
+
+      if (stage.exists(destPath)) {
+        const markers = extractMarkers(content);
+        if (path.extname(entry.name) === '.json' && markers.length === 0) toMerge.push({content, destPath, relativePath, markers, json: true});
+        else if (markers.length > 0 || entry.name === '.env') toMerge.push({content, destPath, relativePath, markers});
+        else skipped.push(relativePath);
+      } else toCopy.push({srcPath, destPath, relativePath});
+    }
+  });
+
+  processDirectory(addonDir);
+
+  return {toCopy, skipped, toMerge};
+};
+
+const chooseConflictAction = async ({relativePath, destPath, srcPath}, localContent) => {
+  const fileName = path.basename(destPath);
+
+  log();
+  log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.bold}${relativePath}${COLORS.reset} ${COLORS.yellow}already exists and has no merge markers${COLORS.reset}`);
+  log(`    ${COLORS.cyan}d${COLORS.reset}  Show the differences`);
+  log(`    ${COLORS.cyan}k${COLORS.reset}  Keep your version`);
+  log(`    ${COLORS.cyan}t${COLORS.reset}  Take the add-on version ${COLORS.dim}(yours is saved as ${fileName}.addon-backup)${COLORS.reset}`);
+  log(`    ${COLORS.cyan}s${COLORS.reset}  Save the add-on version as ${COLORS.dim}${fileName}.addon-new${COLORS.reset}`);
+
+  while (true) {
+    const answer = (await promptUser('  Choice', 'k')).toLowerCase();
+    const action = {k: 'keep', t: 'overwrite', s: 'sidecar'}[answer];
+
+    if (action) return action;
+
+    if (answer === 'd') {
+      const addonContent = fs.readFileSync(srcPath);
+
+      log();
+      if (addonContent.includes(0) || localContent.includes('\0')) log(`    ${COLORS.dim}Binary file, no diff available${COLORS.reset}`);
+      else printDiff(createUnifiedDiff(localContent, addonContent.toString('utf8'), relativePath));
+      log();
+    } else log(`  ${COLORS.red}✗${COLORS.reset} Choose d, k, t or s`, 'red');
+  }
+};
+
+const resolveExistingFiles = async (files, stage, {onConflict, dryRun}) => {
+  const kept = [], replaced = [], sidecars = [];
+
+  for (const file of files) {
+    const localContent = stage.read(file.destPath);
+    const action = localContent === fs.readFileSync(file.srcPath, 'utf8') ? 'keep' : onConflict || (runtime.interactive && !dryRun ? await chooseConflictAction(file, localContent) : 'keep');
+
+    if (action === 'overwrite') {
+      stage.copy(file.destPath, `${file.destPath}.addon-backup`);
+      stage.copy(file.srcPath, file.destPath);
+      replaced.push({...file, backup: `${file.relativePath}.addon-backup`});
+    } else if (action === 'sidecar') {
+      stage.copy(file.srcPath, `${file.destPath}.addon-new`);
+      sidecars.push({srcPath: file.srcPath, destPath: `${file.destPath}.addon-new`, relativePath: `${file.relativePath}.addon-new`});
+    } else kept.push(file.relativePath);
+  }
+
+  return {kept, replaced, sidecars};
+};
+
+const inspectAddonArchive = (zipPath) => {
+  const buffer = fs.readFileSync(zipPath);
+  const entries = readZipEntries(buffer);
+  const topLevel = new Set(entries.map(({name}) => name.split('/')[0]));
+  const prefix = topLevel.size === 1 && entries.every(({name}) => name.includes('/')) ? `${[...topLevel][0]}/` : '';
+  const manifestEntry = entries.find(({name}) => name === prefix + ADDON_MANIFEST);
+
+  let manifest = null;
+
+  if (manifestEntry) {
+    try {
+      manifest = JSON.parse(readZipEntryData(buffer, manifestEntry).toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid ${ADDON_MANIFEST}: ${error.message}`);
+    }
+  }
+
+  const files = entries
+    .filter(({isDirectory}) => !isDirectory)
+    .map(({name}) => name.slice(prefix.length))
+    .filter(name => name !== ADDON_MANIFEST && path.posix.basename(name) !== 'README.md')
+    .sort();
+
+  return {files, manifest};
+};
+
+const getLocalArchivePath = (registry, addonName, version) => registry.dir ? path.join(registry.dir, version, 'add-ons', `${addonName}.zip`) : null;
+
+const getCachedArchivePath = (registry, addonName, version) => path.join(CACHE_DIR, registry.name, 'add-ons', version, `${addonName}.zip`);
+
+const fetchAddonArchive = async (addonName, version, tempDir, registry = getRegistry()) => {
+  const localZipPath = getLocalArchivePath(registry, addonName, version);
+  if (localZipPath && fs.existsSync(localZipPath)) return {zipPath: localZipPath, source: 'local'};
+  if (!registry.url) throw Object.assign(new Error(`${addonName} v${version} is not in ${registry.dir}`), {exitCode: EXIT_CODES.addonNotFound});
+
+  const cachedZipPath = getCachedArchivePath(registry, addonName, version);
+  if (fs.existsSync(cachedZipPath)) return {zipPath: cachedZipPath, source: 'cache'};
+
+  if (runtime.offline) throw Object.assign(new Error(`${addonName} v${version} is not in the cache, run once without --offline first`), {exitCode: EXIT_CODES.addonNotFound});
+  const zipPath = path.join(tempDir, `${addonName}.zip`);
+  const progress = createProgressBar();
+
+  try {
+    await downloadFile(`${registry.url}/${version}/add-ons/${addonName}.zip`, zipPath, getRegistryHeaders(registry), progress?.update);
+  } catch (error) {
+    throw error.unreachable ? Object.assign(new Error(CDN_UNREACHABLE), {cause: error}) : error;
+  } finally {
+    progress?.done();
+  }
+
+  return {zipPath, source: 'cdn'};
+};
+
+const getArchiveChecksum = async (addonName, version, source, registry) => {
+  let versionsData = source === 'local' ? readLocalVersionsData(registry.dir) : null;
+
+  if (!versionsData && registry.url) {
+    try {
+      versionsData = await getVersionsData(registry);
+    } catch (error) {
+      if (source !== 'cdn') return null;
+      throw error;
+    }
+  }
+
+  return getAddonMeta(versionsData?.versions?.[version], addonName).sha256 || null;
+};
+
+const verifyAddonArchive = async (addonName, version, zipPath, source, registry) => {
+  const expected = await getArchiveChecksum(addonName, version, source, registry);
+
+  if (!expected) {
+    log(`  ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}No checksum published for ${addonName} v${version}, skipped verification${COLORS.reset}`);
+    return;
+  }
+
+  const actual = hashContent(fs.readFileSync(zipPath));
+
+  if (actual !== expected.toLowerCase()) {
+    if (source === 'cache') fs.rmSync(zipPath, {force: true});
+    throw Object.assign(new Error(`Checksum mismatch for ${addonName}.zip, expected ${expected} but got ${actual}. The archive may be incomplete or altered, pass --no-verify to skip this check`), {exitCode: EXIT_CODES.checksumMismatch});
+  }
+
+  log(`  ${COLORS.green}✓${COLORS.reset} ${COLORS.dim}Verified checksum of ${addonName}.zip${COLORS.reset}`);
+};
+
+const downloadAddon = async (addonName, version, registry = getRegistry()) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpl-addon-'));
+
+  try {
+    const {zipPath, source} = await fetchAddonArchive(addonName, version, tempDir, registry);
+
+    if (source === 'local') {
+      log();
+      log(`  💻 Using local add-on files${registry.name !== DEFAULT_REGISTRY ? ` from the ${registry.name} registry` : ''}`, 'bold');
+    }
+
+    if (source === 'cache') {
+      log();
+      log(`  🗃️ Using cached download of ${addonName} v${version}`, 'bold');
+    }
+
+    if (runtime.verify) await verifyAddonArchive(addonName, version, zipPath, source, registry);
+
+    if (source === 'cdn') {
+      const cachedZipPath = getCachedArchivePath(registry, addonName, version);
+      writeCacheFile(cachedZipPath, () => fs.copyFileSync(zipPath, cachedZipPath));
+    }
+
+    return {sourceDir: await extractZip(zipPath, path.join(tempDir, 'files')), tempDir, source};
+  } catch (error) {
+    fs.rmSync(tempDir, {recursive: true, force: true});
+    throw error;
+  }
+};
+
+const listFiles = (dir, basePath = '') => !fs.existsSync(dir) ? [] : fs.readdirSync(dir, {withFileTypes: true}).flatMap(entry => {
+  const relativePath = path.join(basePath, entry.name).replace(/\\/g, '/');
+  return entry.isDirectory() ? listFiles(path.join(dir, entry.name), relativePath) : [relativePath];
+});
+
+const getPristineDir = (addonName) => path.join(runtime.projectDir, PRISTINE_DIR, addonName);
+
+const isPristinePath = (filePath) => path.relative(runtime.projectDir, filePath).split(path.sep)[0] === PRISTINE_DIR;
+
+const stagePristineCopy = (addonName, sourceDir, stage) => {
+  const pristineDir = getPristineDir(addonName);
+  const files = listFiles(sourceDir);
+
+  listFiles(pristineDir).filter(file => !files.includes(file)).forEach(file => stage.remove(path.join(pristineDir, file)));
+  files.forEach(file => stage.copy(path.join(sourceDir, file), path.join(pristineDir, file)));
+};
+
+const serializeOperation = (op) => ({
+  type: op.type,
+  success: op.success,
+  ...(op.lines !== undefined ? {lines: op.lines} : {}),
+  ...(op.searchText || op.markerName ? {anchor: op.searchText || op.markerName} : {}),
+  ...(op.id ? {id: op.id} : {}),
+  ...(op.updated ? {updated: true} : {}),
+  ...(op.conflicts ? {conflicts: op.conflicts} : {}),
+  ...(op.matches ? {matches: op.matches} : {}),
+  ...(op.message ? {message: op.message} : {}),
+  ...(op.type === 'conflict' ? {current: op.current, incoming: op.incoming} : {})
+});
+
+const createEnvExampleContent = (operations) => {
+  const added = operations.filter(op => op.success).flatMap(op => op.content);
+  if (getEnvKeys(added.join('\n')).length === 0) return null;
+
+  const lines = parseDotenv(added.join('\n')).flatMap(entry => entry.type === 'var' ? [`${entry.exported ? 'export ' : ''}${entry.key}=`] : entry.lines);
+  return ['# @addon-insert:append', ...lines, '# @addon-end'].join('\n');
+};
+
+const mergeFiles = (toMerge, stage, addonName, label) => {
+  if (toMerge.length === 0) return {merged: [], failed: [], unchanged: [], writes: [], results: []};
+
+  const merged = [], failed = [], unchanged = [], writes = [], results = [];
+
+  const apply = (destPath, relativePath, merge) => {
+    const isEnv = isEnvFile(destPath);
+    log(`\n  ${COLORS.cyan}•${COLORS.reset} ${COLORS.dim}${relativePath}${COLORS.reset}`);
+
+    try {
+      const result = merge(isEnv);
+
+      if (result.modified) {
+        stage.write(destPath, result.content);
+        writes.push({destPath, relativePath, isEnv, operations: result.operations});
+      }
+
+      const hasChanges = printMergeResults(relativePath, isEnv, result);
+      (hasChanges ? merged : unchanged).push(relativePath);
+      results.push({file: relativePath, status: hasChanges ? 'merged' : 'unchanged', operations: result.operations.map(serializeOperation)});
+      return result;
+    } catch (error) {
+      log(`    ${COLORS.red}✗ Error:${COLORS.reset} ${error.message}`, 'red');
+      failed.push(relativePath);
+      results.push({file: relativePath, status: 'failed', error: error.message, operations: []});
+      return null;
+    }
+  };
+
+  toMerge.forEach(({content, destPath, relativePath, markers, json, base = null}) => {
+    const result = apply(destPath, relativePath, isEnv => json
+      ? mergeJsonFile(destPath, content, stage.read(destPath))
+      : mergeFile(destPath, content, markers, isEnv, stage.read(destPath), {addonName, base, label}));
+    const examplePath = path.join(path.dirname(destPath), '.env.example');
+    const exampleContent = path.basename(destPath) === '.env' && result && createEnvExampleContent(result.operations);
+
+    if (exampleContent && stage.exists(examplePath)) {
+      const exampleRelativePath = path.posix.join(path.posix.dirname(relativePath), '.env.example');
+      apply(examplePath, exampleRelativePath, () => mergeFile(examplePath, exampleContent, extractMarkers(exampleContent), true, stage.read(examplePath), {addonName}));
+    }
+  });
+
+  return {merged, failed, unchanged, writes, results};
+};
+
+const resolveSecrets = async (secretKeys, writes, stage, dryRun) => {
+  const missing = [];
+  if (secretKeys.length === 0) return missing;
+
+  for (const {destPath, relativePath, operations} of writes.filter(({destPath}) => path.basename(destPath) === '.env')) {
+    const added = operations.filter(op => op.success && !op.updated).flatMap(op => getEnvKeys(op.content.join('\n')));
+    let content = stage.read(destPath);
+
+    for (const key of secretKeys.filter(key => added.includes(key))) {
+      const value = runtime.interactive && !dryRun ? await promptUser(`  Value for ${COLORS.bold}${key}${COLORS.reset} ${COLORS.dim}(${relativePath}, leave empty to fill in later)${COLORS.reset}`) : '';
+
+      content = setEnvValue(content, key, value);
+      if (!value) missing.push({file: relativePath, key});
+    }
+
+    stage.write(destPath, content);
+  }
+
+  return missing;
+};
+
+const createStage = () => {
+  const changes = new Map();
+
+  return {
+    exists: (filePath) => changes.has(filePath) ? changes.get(filePath).type !== 'delete' : fs.existsSync(filePath),
+    read: (filePath) => {
+      const change = changes.get(filePath);
+      if (!change) return fs.readFileSync(filePath, 'utf8');
+      return change.type === 'copy' ? fs.readFileSync(change.srcPath, 'utf8') : change.content;
+    },
+    copy: (srcPath, destPath) => changes.set(destPath, {type: 'copy', srcPath, destPath}),
+    write: (destPath, content) => changes.set(destPath, {type: 'write', destPath, content}),
+    remove: (destPath) => changes.set(destPath, {type: 'delete', destPath}),
+    changes: () => [...changes.values()]
+  };
+};
+
+const createTransaction = (rootDir = runtime.projectDir) => {
+  const snapshots = new Map(), createdDirs = [], removedDirs = [];
+
+  const snapshot = (filePath) => {
+    if (snapshots.has(filePath)) return;
+    snapshots.set(filePath, fs.existsSync(filePath) ? {content: fs.readFileSync(filePath), mode: fs.statSync(filePath).mode} : null);
+  };
+
+  const ensureDir = (dir) => {
+    const missing = [];
+    for (let current = dir; !fs.existsSync(current); current = path.dirname(current)) missing.unshift(current);
+
+    missing.forEach(missingDir => {
+      fs.mkdirSync(missingDir);
+      createdDirs.push(missingDir);
+    });
+  };
+
+  const pruneDir = (dir) => {
+    for (let current = dir; current !== rootDir && current.startsWith(rootDir) && fs.existsSync(current) && fs.readdirSync(current).length === 0; current = path.dirname(current)) {
+      fs.rmdirSync(current);
+      removedDirs.push(current);
+    }
+  };
+
+  const rollback = () => {
+    const failed = [];
+
+    removedDirs.reverse().forEach(dir => {
+      try {
+        fs.mkdirSync(dir, {recursive: true});
+      } catch {
+        failed.push(dir);
+      }
+    });
+
+    snapshots.forEach((original, filePath) => {
+      try {
+        if (original === null) {
+          if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        } else {
+          fs.writeFileSync(filePath, original.content);
+          fs.chmodSync(filePath, original.mode);
+        }
+      } catch {
+        failed.push(filePath);
+      }
+    });
+
+    createdDirs.reverse().forEach(dir => {
+      try {
+        if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+      } catch {
+        failed.push(dir);
+      }
+    });
+
+    snapshots.clear();
+    createdDirs.length = 0;
+    removedDirs.length = 0;
+
+    return failed;
+  };
+
+  const commit = (changes) => {
+    changes.forEach(({destPath}) => snapshot(destPath));
+
+    try {
+      changes.forEach(change => {
+        if (change.type === 'delete') {
+          fs.rmSync(change.destPath, {force: true});
+          return pruneDir(path.dirname(change.destPath));
+        }
+
+        ensureDir(path.dirname(change.destPath));
+        if (change.type === 'copy') fs.copyFileSync(change.srcPath, change.destPath);
+        else fs.writeFileSync(change.destPath, change.content, 'utf8');
+      });
+    } catch (error) {
+      error.rollbackFailed = rollback();
+      throw error;
+    }
+  };
+
+  return {commit, rollback};
+};
+
+const printRollbackFailures = (failed) => {
+  if (!failed || failed.length === 0) return;
+
+  log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Could not restore ${failed.length} path${failed.length !== 1 ? 's' : ''}, please review manually:${COLORS.reset}`);
+  failed.forEach(file => log(`    ${COLORS.cyan}• ${path.relative(runtime.projectDir, file) || file}${COLORS.reset}`));
+};
+
+const findBlock = (lines, block, isEnv) => {
+  for (let i = 0; i + block.lines <= lines.length; i++) if (hashBlock(lines.slice(i, i + block.lines), isEnv) === block.hash) return i;
+  return -1;
+};
+
+const removeBlocks = (content, blocks, isEnv = false, envKeys = [], addonName = null) => {
+  let lines = content.split('\n');
+  const operations = [];
+
+  blocks.forEach(block => {
+    const sentinel = block.id && addonName ? findSentinelBlock(lines, `${addonName}/${block.id}`) : null;
+    const intact = sentinel && (isEnv || hashBlock(lines.slice(sentinel.start + 1, sentinel.end), isEnv) === block.hash);
+    const index = sentinel ? (intact ? sentinel.start : -1) : findBlock(lines, block, isEnv);
+    const length = intact ? sentinel.end - sentinel.start + 1 : block.lines;
+
+    if (index === -1) {
+      operations.push({success: false, ...block});
+      return;
+    }
+
+    const start = block.type === 'append' && index > 0 && lines[index - 1].trim() === '' ? index - 1 : index;
+    lines.splice(start, index - start + length, ...(block.type === 'replace' && block.original !== undefined ? [block.original] : []));
+    operations.push({success: true, ...block});
+  });
+
+  if (isEnv && envKeys.length > 0) {
+    const entries = parseDotenv(lines.join('\n'));
+    const leftover = entries.filter(entry => entry.type === 'var' && envKeys.includes(entry.key));
+
+    if (leftover.length > 0) operations.push({success: true, type: 'env', lines: leftover.length});
+    lines = entries.filter(entry => !leftover.includes(entry)).flatMap(entry => entry.lines);
+  }
+
+  return {modified: lines.join('\n') !== content, operations, original: content, content: lines.join('\n')};
+};
+
+const printRemoveResults = (result) => {
+  const indent = '    ';
+
+  result.operations.forEach(op => {
+    const anchor = op.anchor ? ` ${COLORS.dim}${op.anchor}${COLORS.reset}` : '';
+
+    if (op.type === 'env') log(`${indent}${COLORS.green}✓${COLORS.reset} Removed ${COLORS.bold}${op.lines}${COLORS.reset} leftover environment variable${op.lines !== 1 ? 's' : ''}`);
+    else if (op.success && op.type === 'json') log(`${indent}${COLORS.green}✓${COLORS.reset} Removed ${op.items ? `${COLORS.bold}${op.lines}${COLORS.reset} item${op.lines !== 1 ? 's' : ''} from ` : ''}${COLORS.cyan}${op.anchor}${COLORS.reset}`);
+    else if (op.success && op.type === 'replace') log(`${indent}${COLORS.green}✓${COLORS.reset} Restored marker ${COLORS.cyan}${op.anchor}${COLORS.reset}`);
+    else if (op.success) log(`${indent}${COLORS.green}✓${COLORS.reset} Removed ${COLORS.bold}${op.lines}${COLORS.reset} line${op.lines !== 1 ? 's' : ''} (${COLORS.cyan}${op.type}${COLORS.reset}${anchor})`);
+    else log(`${indent}${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Block was edited since install, please remove manually:${COLORS.reset} ${COLORS.cyan}${op.type}${COLORS.reset}${anchor}`);
+  });
+};
+
+const removeAddon = (addonName, version, dryRun) => {
+  log();
+  log(`  ╭${'─'.repeat(62)}╮`);
+  log(`  │  ${COLORS.bold}Removing: ${COLORS.cyan}${addonName}${COLORS.reset} ${COLORS.dim}(v${version})${COLORS.reset}${' '.repeat(46 - addonName.length - version.length)}│`);
+  log(`  ╰${'─'.repeat(62)}╯`);
+
+  const config = readSimplConfig();
+  const entry = config.addons?.[addonName];
+
+  const report = {command: 'remove', addon: addonName, version, dryRun};
+
+  if (!entry) {
+    const installed = Object.keys(config.addons || {});
+
+    return fail(EXIT_CODES.addonNotFound, `Add-on ${COLORS.bold}${addonName}${COLORS.reset}${COLORS.red} is not installed`, {
+      report,
+      details: () => {
+        if (installed.length === 0) return;
+
+        log();
+        log(`  ${COLORS.bold}Installed add-ons:${COLORS.reset}`, 'blue');
+        installed.forEach(name => log(`    ${COLORS.cyan}•${COLORS.reset} ${name}`));
+      }
+    });
+  }
+
+  const dependents = Object.keys(config.addons).filter(name => name !== addonName && (config.addons[name].requires || []).includes(addonName));
+
+  if (dependents.length > 0) {
+    log();
+    log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Still required by installed add-on${dependents.length !== 1 ? 's' : ''}:${COLORS.reset} ${dependents.join(', ')}`);
+  }
+
+  const deleted = [], restored = [], kept = [], writes = [], blockResults = [];
+
+  entry.files.forEach(({path: relativePath, hash, backup}) => {
+    const filePath = path.join(runtime.projectDir, relativePath);
+    const backupPath = backup && path.join(runtime.projectDir, backup);
+
+    if (!fs.existsSync(filePath)) return;
+    if (hashContent(fs.readFileSync(filePath)) !== hash) kept.push(relativePath);
+    else if (backupPath && fs.existsSync(backupPath)) restored.push({destPath: filePath, relativePath, backupPath});
+    else deleted.push({destPath: filePath, relativePath});
+  });
+
+  const blocksByFile = entry.blocks.reduce((groups, block) => ({...groups, [block.file]: [...(groups[block.file] || []), block]}), {});
+  let edited = 0;
+
+  if (Object.keys(blocksByFile).length > 0) {
+    log();
+    log(dryRun ? '  🔀 Planning removal of merged content...' : '  🔀 Removing merged content...', 'bold');
+
+    Object.entries(blocksByFile).forEach(([relativePath, blocks]) => {
+      const destPath = path.join(runtime.projectDir, relativePath);
+      const isEnv = isEnvFile(relativePath);
+
+      log(`\n  ${COLORS.cyan}•${COLORS.reset} ${COLORS.dim}${relativePath}${COLORS.reset}`);
+
+      if (!fs.existsSync(destPath)) {
+        log(`    ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}File no longer exists${COLORS.reset}`);
+        return;
+      }
+
+      const content = fs.readFileSync(destPath, 'utf8');
+      const result = blocks.every(({type}) => type === 'json') ? removeJsonBlocks(content, blocks) : removeBlocks(content, blocks, isEnv, isEnv ? entry.env : [], addonName);
+      printRemoveResults(result);
+      blockResults.push(...result.operations.map(({type, anchor, lines, success}) => ({file: relativePath, type, ...(anchor ? {anchor} : {}), lines, success})));
+
+      edited += result.operations.filter(op => !op.success).length;
+      if (result.modified) writes.push({destPath, relativePath, original: result.original, content: result.content});
+    });
+  }
+
+  delete config.addons[addonName];
+  if (Object.keys(config.addons).length === 0) delete config.addons;
+
+  if (deleted.length > 0) {
+    log();
+    log(`  ${COLORS.red}-${COLORS.reset} ${dryRun ? 'Would delete' : 'Deleting'} ${COLORS.bold}${deleted.length}${COLORS.reset} file${deleted.length !== 1 ? 's' : ''}:`);
+    deleted.forEach(({relativePath}) => log(`    ${COLORS.red}• ${relativePath}${COLORS.reset}`));
+  }
+
+  if (restored.length > 0) {
+    log();
+    log(`  ${COLORS.green}✓${COLORS.reset} ${dryRun ? 'Would restore' : 'Restoring'} ${COLORS.bold}${restored.length}${COLORS.reset} file${restored.length !== 1 ? 's' : ''} from .addon-backup:`);
+    restored.forEach(({relativePath}) => log(`    ${COLORS.green}• ${relativePath}${COLORS.reset}`));
+  }
+
+  if (kept.length > 0) {
+    log();
+    log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Kept ${kept.length} file${kept.length !== 1 ? 's' : ''} modified since install, please review manually:${COLORS.reset}`);
+    kept.forEach(file => log(`    ${COLORS.cyan}• ${file}${COLORS.reset}`));
+  }
+
+  Object.assign(report, {deleted: deleted.map(({relativePath}) => relativePath), restored: restored.map(({relativePath}) => relativePath), kept, blocks: blockResults, dependents});
+
+  const exitCode = edited > 0 || kept.length > 0 ? EXIT_CODES.mergeWarnings : EXIT_CODES.success;
+
+  if (dryRun) {
+    report.diffs = writes.map(({relativePath, original, content}) => ({file: relativePath, diff: createUnifiedDiff(original, content, relativePath).join('\n')}));
+    printChangeDiffs(report.diffs);
+
+    log();
+    log(`  ${COLORS.cyan}ℹ${COLORS.reset} ${COLORS.bold}Dry run complete, no files were written${COLORS.reset}`);
+    log();
+
+    return {...report, success: true, exitCode};
+  }
+
+  try {
+    createTransaction().commit([
+      ...writes.map(({destPath, content}) => ({type: 'write', destPath, content})),
+      ...deleted.map(({destPath}) => ({type: 'delete', destPath})),
+      ...restored.flatMap(({destPath, backupPath}) => [{type: 'copy', srcPath: backupPath, destPath}, {type: 'delete', destPath: backupPath}]),
+      ...listFiles(getPristineDir(addonName)).map(file => ({type: 'delete', destPath: path.join(getPristineDir(addonName), file)})),
+      {type: 'write', destPath: getSimplFile(), content: serializeSimplConfig(config)}
+    ]);
+  } catch (error) {
+    return fail(EXIT_CODES.error, 'Removal failed, all changes were rolled back', {hint: error.message, report, details: () => printRollbackFailures(error.rollbackFailed)});
+  }
+
+  log();
+  if (exitCode === EXIT_CODES.mergeWarnings) log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.bold}${COLORS.yellow}Removal complete, some changes need manual review${COLORS.reset}`);
+  else log(`  ${COLORS.green}✓${COLORS.reset} ${COLORS.bold}${COLORS.green}Removal complete!${COLORS.reset}`, 'green');
+  log();
+
+  return {...report, success: true, exitCode};
+};
+
+const upgradeAddonFiles = (addonName, entry, sourceDir, label, stage) => {
+  const pristineDir = getPristineDir(addonName);
+  const tracked = new Map(entry.files.map(({path: relativePath, hash}) => [relativePath, hash]));
+  const backups = new Map(entry.files.filter(({backup}) => backup).map(({path: relativePath, backup}) => [relativePath, backup]));
+  const readPristine = (relativePath) => fs.existsSync(path.join(pristineDir, relativePath)) ? fs.readFileSync(path.join(pristineDir, relativePath), 'utf8') : null;
+  const {toCopy, skipped, toMerge} = processAddonFiles(sourceDir, runtime.projectDir, stage);
+  const result = {hasBase: fs.existsSync(pristineDir), added: [], updated: [], merged: [], conflicts: [], removed: [], kept: [], missing: [], files: [], toMerge: []};
+
+  toCopy.forEach(file => {
+    if (tracked.has(file.relativePath)) return result.missing.push(file.relativePath);
+
+    stage.copy(file.srcPath, file.destPath);
+    result.added.push(file.relativePath);
+    result.files.push(file);
+  });
+
+  result.toMerge = toMerge.filter(({relativePath}) => !tracked.has(relativePath)).map(file => ({...file, base: readPristine(file.relativePath)}));
+
+  [...skipped, ...toMerge.map(({relativePath}) => relativePath)].filter(relativePath => tracked.has(relativePath)).forEach(relativePath => {
+    const srcPath = path.join(sourceDir, relativePath), destPath = path.join(runtime.projectDir, relativePath);
+    const local = fs.readFileSync(destPath), incoming = fs.readFileSync(srcPath);
+
+    result.files.push({srcPath, destPath, relativePath, ...(backups.has(relativePath) ? {backup: backups.get(relativePath)} : {})});
+    if (local.equals(incoming)) return;
+
+    if (hashContent(local) === tracked.get(relativePath)) {
+      stage.copy(srcPath, destPath);
+      return result.updated.push(relativePath);
+    }
+
+    if (local.includes(0) || incoming.includes(0)) return result.conflicts.push({file: relativePath, conflicts: 1, binary: true});
+
+    const base = readPristine(relativePath);
+    const merge = mergeThreeWay(base === null ? [] : base.split('\n'), local.toString('utf8').split('\n'), incoming.toString('utf8').split('\n'), label);
+
+    stage.write(destPath, merge.lines.join('\n'));
+    if (merge.conflicts > 0) result.conflicts.push({file: relativePath, conflicts: merge.conflicts});
+    else result.merged.push(relativePath);
+  });
+
+  const shipped = new Set(listFiles(sourceDir));
+
+  tracked.forEach((hash, relativePath) => {
+    const destPath = path.join(runtime.projectDir, relativePath);
+    if (shipped.has(relativePath) || !fs.existsSync(destPath)) return;
+
+    if (hashContent(fs.readFileSync(destPath)) === hash) {
+      stage.remove(destPath);
+      result.removed.push(relativePath);
+    } else result.kept.push(relativePath);
+  });
+
+  return result;
+};
+
+const printUpgradeResult = (result, dryRun) => {
+  const count = (n, noun) => `${COLORS.bold}${n}${COLORS.reset} ${noun}${n !== 1 ? 's' : ''}`;
+  const printFiles = (message, files) => {
+    if (files.length === 0) return;
+
+    log();
+    log(`  ${message(files.length)}:`);
+    files.forEach(file => log(`    ${COLORS.dim}• ${file}${COLORS.reset}`));
+  };
+
+  printFiles(n => `${COLORS.green}+${COLORS.reset} ${dryRun ? 'Would add' : 'Added'} ${count(n, 'new file')}`, result.added);
+  printFiles(n => `${COLORS.green}✓${COLORS.reset} ${dryRun ? 'Would update' : 'Updated'} ${count(n, 'unmodified file')}`, result.updated);
+  printFiles(n => `${COLORS.green}✓${COLORS.reset} ${dryRun ? 'Would merge' : 'Merged'} local changes in ${count(n, 'file')}`, result.merged);
+  printFiles(n => `${COLORS.red}-${COLORS.reset} ${dryRun ? 'Would delete' : 'Deleted'} ${count(n, 'file')} no longer shipped by the add-on`, result.removed);
+  printFiles(n => `${COLORS.gray}○${COLORS.reset} ${COLORS.dim}Left out ${n} file${n !== 1 ? 's' : ''} you deleted since install${COLORS.reset}`, result.missing);
+  printFiles(n => `${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Kept ${n} modified file${n !== 1 ? 's' : ''} no longer shipped by the add-on, please review manually${COLORS.reset}`, result.kept);
+  printFiles(n => `${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Conflicts in ${n} file${n !== 1 ? 's' : ''}${COLORS.reset}`, result.conflicts.map(({file, conflicts, binary}) => binary ? `${file} (binary, kept your version)` : `${file} (${conflicts} conflict${conflicts !== 1 ? 's' : ''})`));
+};
+
+const upgradeAddons = async (addonName, version, dryRun, variables = {}) => {
+  const config = readSimplConfig();
+  const installed = config.addons || {};
+  let values = {...getProjectVariables(config), ...variables};
+  const names = (addonName ? [addonName] : Object.keys(installed)).filter(name => installed[name]?.version !== version);
+  const title = addonName || 'all add-ons';
+  const report = {command: 'upgrade', version, dryRun, addons: []};
+
+  log();
+  log(`  ╭${'─'.repeat(62)}╮`);
+  log(`  │  ${COLORS.bold}Upgrading: ${COLORS.cyan}${title}${COLORS.reset} ${COLORS.dim}(v${version})${COLORS.reset}${' '.repeat(Math.max(0, 45 - title.length - version.length))}│`);
+  log(`  ╰${'─'.repeat(62)}╯`);
+
+  if (addonName && !installed[addonName]) return fail(EXIT_CODES.addonNotFound, `Add-on ${COLORS.bold}${addonName}${COLORS.reset}${COLORS.red} is not installed`, {report});
+
+  if (names.length === 0) {
+    log();
+    log(`  ${COLORS.green}✓${COLORS.reset} ${addonName ? `${addonName} is` : 'All installed add-ons are'} already at v${version}`);
+    log();
+    return {...report, success: true, exitCode: EXIT_CODES.success};
+  }
+
+  const transaction = createTransaction();
+  const stage = createStage();
+  const tempDirs = [];
+
+  const cleanup = () => tempDirs.forEach(dir => fs.rmSync(dir, {recursive: true, force: true}));
+
+  const onInterrupt = () => {
+    const failed = transaction.rollback();
+    cleanup();
+
+    printFailure(new AddonError('Upgrade cancelled, all changes were rolled back', {exitCode: EXIT_CODES.cancelled, report, details: () => printRollbackFailures(failed)}));
+    process.exit(EXIT_CODES.cancelled);
+  };
+
+  if (runtime.cli) process.once('SIGINT', onInterrupt);
+
+  try {
+    for (const name of names) {
+      const entry = installed[name];
+      const label = `${name} v${version}`;
+
+      log();
+      log(`  ${COLORS.bold}▸ ${COLORS.cyan}${name}${COLORS.reset} ${COLORS.dim}v${entry.version} → v${version}${COLORS.reset}`);
+
+      let download, manifest;
+
+      try {
+        const registry = getRegistry(entry.registry);
+        download = await downloadAddon(name, version, registry);
+        tempDirs.push(download.tempDir);
+        manifest = readAddonManifest(download.sourceDir, getAddonMeta(await getVersionMeta(registry, version), name));
+      } catch (error) {
+        return failForDownload(error, `Failed to download ${name} v${version}`, report);
+      }
+
+      values = await resolveVariables(name, manifest.variables, values);
+      renderAddonFiles(download.sourceDir, values);
+
+      const result = upgradeAddonFiles(name, entry, download.sourceDir, label, stage);
+      const missingDependencies = manifest.requires.map(dependency => parseAddonRef(dependency).name).filter(dependency => !installed[dependency]);
+
+      if (!result.hasBase) {
+        log();
+        log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}No pristine copy of v${entry.version} was stored, modified files are reported as conflicts${COLORS.reset}`);
+      }
+
+      printUpgradeResult(result, dryRun);
+
+      let writes = [], results = [];
+
+      if (result.toMerge.length > 0) {
+        log();
+        log(dryRun ? '  🔀 Planning merges...' : '  🔀 Merging existing files...', 'bold');
+        ({writes, results} = mergeFiles(result.toMerge, stage, name, label));
+      }
+
+      if (missingDependencies.length > 0) {
+        log();
+        log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}v${version} requires add-on${missingDependencies.length !== 1 ? 's' : ''} that ${missingDependencies.length !== 1 ? 'are' : 'is'} not installed:${COLORS.reset} ${missingDependencies.join(', ')}`);
+      }
+
+      stagePristineCopy(name, download.sourceDir, stage);
+
+      const next = createManifestEntry(version, manifest, result.files, writes, entry.registry);
+      config.addons[name] = {...mergeManifestEntry(entry, next), files: next.files};
+
+      const blockConflicts = results.flatMap(({file, operations}) => operations.filter(op => op.conflicts).map(op => ({file, block: op.id, conflicts: op.conflicts})));
+
+      report.addons.push({
+        name,
+        from: entry.version,
+        to: version,
+        registry: entry.registry || DEFAULT_REGISTRY,
+        source: download.source,
+        added: result.added,
+        updated: result.updated,
+        merged: result.merged,
+        removed: result.removed,
+        kept: result.kept,
+        conflicts: [...result.conflicts, ...blockConflicts],
+        merges: results,
+        missingDependencies
+      });
+    }
+
+    if (Object.keys(values).length > 0) config.variables = report.variables = values;
+
+    const changes = stage.changes();
+    const written = changes.filter(({destPath}) => !isPristinePath(destPath)).length;
+    const conflicts = report.addons.flatMap(({name, conflicts}) => conflicts.map(conflict => ({addon: name, ...conflict})));
+    const needsReview = conflicts.length > 0 || report.addons.some(({kept}) => kept.length > 0);
+    const exitCode = needsReview ? EXIT_CODES.mergeWarnings : EXIT_CODES.success;
+
+    if (conflicts.length > 0) {
+      log();
+      log(`  ${COLORS.bold}Conflicts to resolve:${COLORS.reset}`, 'blue');
+      conflicts.forEach(({file, block, conflicts: count}) => log(`    ${COLORS.yellow}•${COLORS.reset} ${file}${block ? ` ${COLORS.dim}(block ${block})${COLORS.reset}` : ''} ${COLORS.dim}${count} conflict${count !== 1 ? 's' : ''}${COLORS.reset}`));
+      log(`    ${COLORS.dim}Look for <<<<<<< local / >>>>>>> markers and keep the lines you want${COLORS.reset}`);
+    }
+
+    if (dryRun) {
+      report.diffs = createChangeDiffs(changes);
+      printChangeDiffs(report.diffs);
+
+      log();
+      log(`  ${COLORS.cyan}ℹ${COLORS.reset} ${COLORS.bold}Dry run complete, no files were written${COLORS.reset}`);
+      log();
+
+      return {...report, success: true, exitCode};
+    }
+
+    log();
+    log('  💾 Writing changes...', 'bold');
+
+    try {
+      transaction.commit([...changes, {type: 'write', destPath: getSimplFile(), content: serializeSimplConfig(config)}]);
+    } catch (error) {
+      return fail(EXIT_CODES.error, 'Upgrade failed, all changes were rolled back', {hint: error.message, report, details: () => printRollbackFailures(error.rollbackFailed)});
+    }
+
+    log(`  ${COLORS.green}✓${COLORS.reset} Wrote ${COLORS.bold}${written}${COLORS.reset} file${written !== 1 ? 's' : ''}`);
+
+    log();
+    if (needsReview) log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.bold}${COLORS.yellow}Upgrade complete, some changes need manual review${COLORS.reset}`);
+    else log(`  ${COLORS.green}✓${COLORS.reset} ${COLORS.bold}${COLORS.green}Upgrade complete!${COLORS.reset}`, 'green');
+    log();
+
+    return {...report, success: true, exitCode};
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+    cleanup();
+  }
+};
+
+const findStoredArchive = (registry, addonName, version) => [getLocalArchivePath(registry, addonName, version), registry.url ? getCachedArchivePath(registry, addonName, version) : null]
+  .find(zipPath => zipPath && fs.existsSync(zipPath)) || null;
+
+const getAddonDetails = (addon, version, installed, zipPath = findStoredArchive(getRegistry(addon.registry), addon.name, version)) => {
+  const archive = zipPath ? inspectAddonArchive(zipPath) : null;
+  const entry = installed[addon.name];
+
+  return {
+    name: addon.name,
+    id: addon.id,
+    registry: addon.registry,
+    ...normalizeAddonManifest({...addon.meta, ...archive?.manifest}),
+    files: archive?.files || null,
+    fileCount: archive ? archive.files.length : addon.meta.files ?? null,
+    installed: entry && (entry.registry || DEFAULT_REGISTRY) === addon.registry ? {version: entry.version, installedAt: entry.installedAt} : null
+  };
+};
+
+const printAddonSummary = (details) => {
+  const status = details.installed ? `${COLORS.green}✓ installed${COLORS.reset} ${COLORS.dim}(v${details.installed.version})${COLORS.reset}` : `${COLORS.dim}not installed${COLORS.reset}`;
+  const facts = [
+    `${details.fileCount ?? '?'} file${details.fileCount !== 1 ? 's' : ''}`,
+    ...(details.registry !== DEFAULT_REGISTRY ? [`from ${details.registry}`] : []),
+    ...(details.requires.length > 0 ? [`requires ${details.requires.join(', ')}`] : []),
+    ...(details.conflicts.length > 0 ? [`conflicts with ${details.conflicts.join(', ')}`] : [])
+  ];
+
+  log();
+  log(`    ${COLORS.cyan}•${COLORS.reset} ${COLORS.bold}${details.id}${COLORS.reset}  ${status}`);
+  if (details.description) log(`      ${details.description}`);
+  log(`      ${COLORS.dim}${facts.join(' · ')}${COLORS.reset}`);
+};
+
+const loadAddonCatalog = async (version) => {
+  const addons = await getAvailableAddons(version);
+  const installed = fs.existsSync(getSimplFile()) ? readSimplConfig().addons || {} : {};
+
+  return {addons, installed};
+};
+
+const listAddons = async (version, term = null) => {
+  let catalog;
+
+  try {
+    catalog = await loadAddonCatalog(version);
+  } catch (error) {
+    return failForDownload(error, 'Failed to fetch add-ons', {command: term ? 'search' : 'list', version});
+  }
+
+  const {addons, installed} = catalog;
+  const matches = addons
+    .map(addon => getAddonDetails(addon, version, installed))
+    .filter(({name, description}) => !term || `${name} ${description}`.toLowerCase().includes(term.toLowerCase()));
+
+  log();
+  log(`  ${COLORS.bold}${term ? `Add-ons matching "${term}"` : 'Available add-ons'} ${COLORS.dim}(v${version})${COLORS.reset}`, 'blue');
+
+  if (matches.length === 0) log(`    ${COLORS.dim}No add-ons found${COLORS.reset}`);
+  else matches.forEach(printAddonSummary);
+
+  log();
+
+  return {command: term ? 'search' : 'list', version, ...(term ? {term} : {}), addons: matches, success: true, exitCode: EXIT_CODES.success};
+};
+
+const showAddonInfo = async (addonName, version) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpl-addon-'));
+
+  try {
+    const {addons, installed} = await loadAddonCatalog(version);
+    const addon = findAddon(addons, addonName);
+
+    if (!addon) return fail(EXIT_CODES.addonNotFound, `Add-on ${COLORS.bold}${addonName}${COLORS.reset}${COLORS.red} not found`, {report: {command: 'info', version}});
+
+    const {zipPath, source} = await fetchAddonArchive(addon.name, version, tempDir, getRegistry(addon.registry));
+    const details = getAddonDetails(addon, version, installed, zipPath);
+
+    log();
+    log(`  ${COLORS.bold}${COLORS.cyan}${details.id}${COLORS.reset} ${COLORS.dim}(v${version}, ${{local: 'local', cache: 'cached', cdn: 'CDN'}[source]}${details.registry !== DEFAULT_REGISTRY ? `, ${details.registry} registry` : ''})${COLORS.reset}`);
+    if (details.description) log(`  ${details.description}`);
+    log();
+    log(`  ${COLORS.bold}Status:${COLORS.reset}     ${details.installed ? `${COLORS.green}installed${COLORS.reset} ${COLORS.dim}(v${details.installed.version}, ${details.installed.installedAt})${COLORS.reset}` : `${COLORS.dim}not installed${COLORS.reset}`}`);
+    log(`  ${COLORS.bold}Requires:${COLORS.reset}   ${details.requires.length > 0 ? details.requires.join(', ') : `${COLORS.dim}none${COLORS.reset}`}`);
+    log(`  ${COLORS.bold}Conflicts:${COLORS.reset}  ${details.conflicts.length > 0 ? details.conflicts.join(', ') : `${COLORS.dim}none${COLORS.reset}`}`);
+    if (details.minVersion) log(`  ${COLORS.bold}Min Simpl:${COLORS.reset}  v${details.minVersion}`);
+
+    if (details.postInstall.length > 0) {
+      log();
+      log(`  ${COLORS.bold}Post-install steps:${COLORS.reset}`, 'blue');
+      details.postInstall.forEach(({run, description}) => log(`    ${COLORS.dim}•${COLORS.reset} ${run}${description ? ` ${COLORS.dim}(${description})${COLORS.reset}` : ''}`));
+    }
+
+    log();
+    log(`  ${COLORS.bold}Files (${details.fileCount}):${COLORS.reset}`, 'blue');
+    details.files.forEach(file => log(`    ${COLORS.dim}• ${file}${COLORS.reset}`));
+    log();
+
+    return {command: 'info', version, source, addon: details, success: true, exitCode: EXIT_CODES.success};
+  } catch (error) {
+    return failForDownload(error, 'Failed to fetch add-on details', {command: 'info', version});
+  } finally {
+    fs.rmSync(tempDir, {recursive: true, force: true});
+  }
+};
+
+const FILE_STATUSES = {
+  applied: {label: 'fully applied', symbol: `${COLORS.green}✓${COLORS.reset}`},
+  partial: {label: 'partially applied', symbol: `${COLORS.yellow}⚠${COLORS.reset}`},
+  missing: {label: 'missing', symbol: `${COLORS.red}✗${COLORS.reset}`},
+  'anchor-gone': {label: 'anchor gone', symbol: `${COLORS.yellow}⚠${COLORS.reset}`},
+  placeholder: {label: 'leftover placeholder', symbol: `${COLORS.yellow}⚠${COLORS.reset}`}
+};
+
+const getFileStatus = (addonName, entry, sourceDir, relativePath) => {
+  const srcPath = path.join(sourceDir, relativePath);
+  const destPath = path.join(runtime.projectDir, relativePath);
+
+  if (!fs.existsSync(destPath)) return {file: relativePath, status: 'missing'};
+
+  const copied = entry.files.some(({path: filePath}) => filePath === relativePath);
+  const content = fs.readFileSync(srcPath, 'utf8');
+  const markers = copied ? [] : extractMarkers(content);
+  const isJson = !copied && markers.length === 0 && path.extname(relativePath) === '.json';
+
+  if (markers.length === 0 && !isJson) return {file: relativePath, status: 'applied', ...(fs.readFileSync(srcPath).equals(fs.readFileSync(destPath)) ? {} : {modified: true})};
+
+  const targetContent = fs.readFileSync(destPath, 'utf8');
+  let operations;
+
+  try {
+    ({operations} = isJson ? mergeJsonFile(destPath, content, targetContent) : mergeFile(destPath, content, markers, isEnvFile(destPath), targetContent, {addonName}));
+  } catch (error) {
+    return {file: relativePath, status: 'partial', error: error.message};
+  }
+
+  if (isJson) {
+    const added = entry.blocks.filter(block => block.file === relativePath && block.type === 'json').map(block => block.key.join('.'));
+    const wasAdded = (key) => added.some(addedKey => key === addedKey || key.startsWith(`${addedKey}.`) || addedKey.startsWith(`${key}.`));
+    const keys = operations.filter(op => op.success && wasAdded(op.searchText)).map(op => op.searchText);
+
+    return {file: relativePath, status: keys.length > 0 ? 'partial' : 'applied', keys};
+  }
+
+  const blocks = operations.filter(op => op.type !== 'invalid');
+  const applied = blocks.filter(op => !op.success && !['notfound', 'ambiguous', 'conflict'].includes(op.type)).length;
+  const placeholders = blocks.filter(op => op.type === 'replace' && op.success && !op.updated).map(op => op.markerName);
+  const anchors = blocks.filter(op => op.type === 'notfound' || op.type === 'ambiguous').map(op => op.searchText || `@addon-marker('${op.markerName}')`);
+
+  let status = 'applied';
+  if (placeholders.length > 0) status = 'placeholder';
+  else if (anchors.length > 0) status = 'anchor-gone';
+  else if (applied < blocks.length) status = applied === 0 ? 'missing' : 'partial';
+
+  return {
+    file: relativePath,
+    status,
+    blocks: {applied, total: blocks.length},
+    ...(anchors.length > 0 ? {anchors} : {}),
+    ...(placeholders.length > 0 ? {placeholders} : {})
+  };
+};
+
+const describeFileStatus = ({status, modified, blocks, keys, anchors, placeholders, error}) => {
+  if (error) return error;
+  if (status === 'placeholder') return placeholders.map(name => `@addon-marker('${name}')`).join(', ');
+  if (status === 'anchor-gone') return anchors.join(', ');
+  if (status === 'partial') return keys ? `${keys.join(', ')} missing` : `${blocks.applied} of ${blocks.total} blocks`;
+  return modified ? 'modified locally' : '';
+};
+
+const showStatus = async (version) => {
+  const config = readSimplConfig();
+  const installed = config.addons || {};
+  const variables = getProjectVariables(config);
+  const names = Object.keys(installed).sort();
+  const report = {command: 'status', version, addons: []};
+  const tempDirs = [];
+
+  log();
+  log(`  🩺 Checking installed add-ons ${COLORS.dim}(v${version})${COLORS.reset}`, 'bold');
+
+  if (names.length === 0) {
+    log();
+    log(`  ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}No add-ons installed${COLORS.reset}`);
+    log();
+    return {...report, drifted: 0, success: true, exitCode: EXIT_CODES.success};
+  }
+
+  try {
+    for (const name of names) {
+      const entry = installed[name];
+      let download;
+
+      log();
+      log(`  ${COLORS.bold}▸ ${COLORS.cyan}${name}${COLORS.reset}${entry.version !== version ? ` ${COLORS.dim}(installed for v${entry.version}, run upgrade)${COLORS.reset}` : ''}`);
+
+      try {
+        const registry = getRegistry(entry.registry);
+        download = await downloadAddon(name, version, registry);
+        tempDirs.push(download.tempDir);
+
+        const manifest = readAddonManifest(download.sourceDir, getAddonMeta(await getVersionMeta(registry, version), name));
+        renderAddonFiles(download.sourceDir, {...getVariableDefaults(manifest.variables, variables), ...variables});
+      } catch (error) {
+        return failForDownload(error, `Failed to download ${name} v${version}`, report);
+      }
+
+      const files = listFiles(download.sourceDir)
+        .filter(file => file !== ADDON_MANIFEST && path.posix.basename(file) !== 'README.md')
+        .sort()
+        .map(file => getFileStatus(name, entry, download.sourceDir, file));
+      const width = Math.max(...files.map(({file}) => file.length));
+
+      log();
+      files.forEach(file => {
+        const details = describeFileStatus(file);
+        log(`    ${FILE_STATUSES[file.status].symbol} ${file.file.padEnd(width)}  ${FILE_STATUSES[file.status].label}${details ? ` ${COLORS.dim}(${details})${COLORS.reset}` : ''}`);
+      });
+
+      report.addons.push({name, version: entry.version, registry: entry.registry || DEFAULT_REGISTRY, files, drifted: files.some(({status}) => status !== 'applied')});
+    }
+  } finally {
+    tempDirs.forEach(dir => fs.rmSync(dir, {recursive: true, force: true}));
+  }
+
+  const driftedFiles = report.addons.flatMap(({files}) => files).filter(({status}) => status !== 'applied').length;
+  const driftedAddons = report.addons.filter(({drifted}) => drifted).length;
+  const exitCode = driftedFiles > 0 ? EXIT_CODES.drift : EXIT_CODES.success;
+
+  log();
+  if (driftedFiles > 0) log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.bold}${COLORS.yellow}${driftedFiles} file${driftedFiles !== 1 ? 's' : ''} in ${driftedAddons} add-on${driftedAddons !== 1 ? 's' : ''} drifted from v${version}${COLORS.reset}`);
+  else log(`  ${COLORS.green}✓${COLORS.reset} ${COLORS.bold}${COLORS.green}All installed add-ons are fully applied${COLORS.reset}`, 'green');
+  log();
+
+  return {...report, drifted: driftedFiles, success: true, exitCode};
+};
+
+const ADDON_DIRECTIVES = ['insert:after', 'insert:before', 'insert:replace', 'insert:prepend', 'insert:append', 'end', 'marker'];
+
+const getAddonSourceFiles = (sourceDir) => listFiles(sourceDir)
+  .filter(file => !file.split('/').includes('.git') && path.posix.basename(file) !== '.DS_Store')
+  .sort();
+
+const lintAddonManifest = (sourceDir) => {
+  const manifestPath = path.join(sourceDir, ADDON_MANIFEST);
+  if (!fs.existsSync(manifestPath)) return [];
+
+  const issues = [];
+  const add = (message) => issues.push({file: ADDON_MANIFEST, line: null, severity: 'error', message});
+  let manifest;
+
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    add(`Invalid JSON: ${error.message}`);
+    return issues;
+  }
+
+  if (!isPlainObject(manifest)) {
+    add('Must contain a JSON object');
+    return issues;
+  }
+
+  if (manifest.description !== undefined && typeof manifest.description !== 'string') add('description must be a string');
+  if (manifest['min-version'] !== undefined && typeof manifest['min-version'] !== 'string') add('min-version must be a version string like "1.2.0"');
+
+  ['requires', 'conflicts', 'secrets'].forEach(field => {
+    if (manifest[field] !== undefined && (!Array.isArray(manifest[field]) || manifest[field].some(item => typeof item !== 'string'))) add(`${field} must be an array of strings`);
+  });
+
+  const variables = manifest.variables;
+  if (variables !== undefined && (!Array.isArray(variables) || variables.some(variable => !VARIABLE_NAME.test(typeof variable === 'string' ? variable : variable?.name)))) add('variables must be an array of uppercase names or {"name", "prompt", "default"} objects');
+
+  const steps = manifest['post-install'];
+  if (steps !== undefined && (!Array.isArray(steps) || steps.some(step => typeof step !== 'string' && typeof step?.run !== 'string'))) add('post-install must be an array of commands or {"run", "description"} objects');
+
+  return issues;
+};
+
+const lintAddonFile = (file, content, targetContent, hasProject) => {
+  const issues = [];
+  const add = (severity, lineIndex, message) => issues.push({file, line: lineIndex === null ? null : lineIndex + 1, severity, message});
+  const lines = content.split('\n');
+  const markers = extractMarkers(content);
+  let openLine = null;
+
+  lines.forEach((line, i) => {
+    for (const [, directive] of line.matchAll(/@addon-([\w-]+(?::[\w-]+)?)/g)) {
+      if (!ADDON_DIRECTIVES.includes(directive)) add('error', i, `Unknown directive @addon-${directive}`);
+    }
+
+    const start = line.match(/@addon-insert:([\w-]+)/);
+
+    if (start) {
+      if (openLine !== null) add('error', openLine, 'Block is not closed with @addon-end before the next marker');
+      if (ADDON_DIRECTIVES.includes(`insert:${start[1]}`) && !markers.some(({lineIndex}) => lineIndex === i)) add('error', i, 'Malformed marker, check its quotes and parentheses');
+      openLine = i;
+    } else if (line.includes('@addon-end')) {
+      if (openLine === null) add('error', i, '@addon-end without a matching marker');
+      else if (i === openLine + 1) add('warning', openLine, 'Block is empty');
+      openLine = null;
+    }
+  });
+
+  if (openLine !== null) add('error', openLine, 'Block is never closed with @addon-end, it would take the rest of the file');
+
+  markers.filter(marker => marker.error).forEach(marker => add('error', marker.lineIndex, marker.error));
+
+  if (targetContent !== null) {
+    const targetLines = targetContent.split('\n');
+
+    markers.filter(marker => !marker.error).forEach(marker => {
+      if (marker.type === 'replace') {
+        if (findMarkerLine(targetLines, marker.markerName) === -1) add('error', marker.lineIndex, `The project file has no @addon-marker('${marker.markerName}')`);
+        return;
+      }
+
+      if (marker.type !== 'after' && marker.type !== 'before') return;
+
+      const {index, reason, matches} = findInsertIndex(targetLines, marker);
+      if (index !== -1) return;
+
+      if (reason === 'ambiguous') add('error', marker.lineIndex, `Anchor ${marker.searchText} matches lines ${matches.map(line => line + 1).join(', ')} of the project file, add first, last, nth=N or within(...)`);
+      else add('error', marker.lineIndex, `Anchor ${marker.searchText} not found in the project file`);
+    });
+  }
+
+  if (hasProject && targetContent === null && markers.length > 0) add('warning', markers[0].lineIndex, 'The project has no such file, it would be copied including its markers');
+  if (hasProject && targetContent !== null && markers.length === 0 && !isEnvFile(file) && path.extname(file) !== '.json') add('warning', null, 'Exists in the project without merge markers, it is kept unless --on-conflict is used');
+
+  if (path.extname(file) === '.json' && markers.length === 0) {
+    try {
+      JSON.parse(content);
+    } catch (error) {
+      add('error', null, `Invalid JSON: ${error.message}`);
+    }
+  }
+
+  return issues.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+};
+
+const lintAddon = (sourceDir, projectDir) => [
+  ...lintAddonManifest(sourceDir),
+  ...getAddonSourceFiles(sourceDir)
+    .filter(file => file !== ADDON_MANIFEST && path.posix.basename(file) !== 'README.md')
+    .flatMap(file => {
+      const buffer = fs.readFileSync(path.join(sourceDir, file));
+      if (buffer.includes(0)) return [];
+
+      const targetPath = projectDir && path.join(projectDir, file);
+      const targetContent = targetPath && fs.existsSync(targetPath) ? fs.readFileSync(targetPath, 'utf8') : null;
+
+      return lintAddonFile(file, buffer.toString('utf8'), targetContent, projectDir !== null);
+    })
+];
+
+const printLintIssues = (issues) => [...new Set(issues.map(({file}) => file))].forEach(file => {
+  log();
+  log(`    ${COLORS.cyan}•${COLORS.reset} ${COLORS.bold}${file}${COLORS.reset}`);
+  issues.filter(issue => issue.file === file).forEach(({line, severity, message}) => {
+    const symbol = severity === 'error' ? `${COLORS.red}✗${COLORS.reset}` : `${COLORS.yellow}⚠${COLORS.reset}`;
+    log(`      ${symbol} ${line ? `${COLORS.dim}Line ${line}:${COLORS.reset} ` : ''}${message}`);
+  });
+});
+
+const validateAddon = (sourceDir, projectDir) => {
+  const report = {command: 'validate', directory: sourceDir, project: projectDir};
+
+  if (!fs.existsSync(sourceDir) || !fs.statSync(sourceDir).isDirectory()) return fail(EXIT_CODES.error, `Directory ${COLORS.bold}${sourceDir}${COLORS.reset}${COLORS.red} not found`, {report});
+  if (projectDir && !fs.existsSync(path.join(projectDir, '.simpl'))) return fail(EXIT_CODES.notSimplProject, `${COLORS.bold}${projectDir}${COLORS.reset}${COLORS.red} is not a Simpl project`, {hint: 'Pass the root of a Simpl project checkout with --project', report});
+
+  const issues = lintAddon(sourceDir, projectDir);
+  const errors = issues.filter(({severity}) => severity === 'error').length;
+  const warnings = issues.length - errors;
+  const exitCode = errors > 0 ? EXIT_CODES.error : EXIT_CODES.success;
+
+  log();
+  log(`  🔎 Validating ${COLORS.cyan}${path.basename(sourceDir)}${COLORS.reset}${projectDir ? ` ${COLORS.dim}against ${projectDir}${COLORS.reset}` : ''}`, 'bold');
+  if (!projectDir) log(`  ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}No Simpl project given, anchors were not checked (use --project)${COLORS.reset}`);
+
+  printLintIssues(issues);
+
+  log();
+  if (issues.length === 0) log(`  ${COLORS.green}✓${COLORS.reset} ${COLORS.bold}${COLORS.green}No problems found${COLORS.reset}`, 'green');
+  else log(`  ${errors > 0 ? `${COLORS.red}✗` : `${COLORS.yellow}⚠`}${COLORS.reset} ${COLORS.bold}${errors} error${errors !== 1 ? 's' : ''}, ${warnings} warning${warnings !== 1 ? 's' : ''}${COLORS.reset}`);
+  log();
+
+  return {...report, issues, errors, warnings, success: errors === 0, exitCode};
+};
+
+const packAddon = (sourceDir, {version, outputDir}) => {
+  const name = path.basename(sourceDir);
+  const report = {command: 'pack', name, version, directory: sourceDir};
+
+  if (!fs.existsSync(sourceDir) || !fs.statSync(sourceDir).isDirectory()) return fail(EXIT_CODES.error, `Directory ${COLORS.bold}${sourceDir}${COLORS.reset}${COLORS.red} not found`, {report});
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) return fail(EXIT_CODES.error, `Invalid add-on name ${COLORS.bold}${name}${COLORS.reset}${COLORS.red}, rename the directory to letters, numbers, - and _`, {report});
+  if (!version) return fail(EXIT_CODES.error, 'Missing Simpl version for the archive', {hint: 'Pass --simpl-version or run pack from the root of a Simpl project', report});
+
+  const errors = lintAddon(sourceDir, null).filter(({severity}) => severity === 'error');
+
+  if (errors.length > 0) return fail(EXIT_CODES.error, `${name} has ${errors.length} error${errors.length !== 1 ? 's' : ''}, fix ${errors.length !== 1 ? 'them' : 'it'} before packing`, {
+    report: {...report, issues: errors},
+    details: () => printLintIssues(errors)
+  });
+
+  const files = getAddonSourceFiles(sourceDir).map(file => ({
+    name: file,
+    data: fs.readFileSync(path.join(sourceDir, file)),
+    mode: fs.statSync(path.join(sourceDir, file)).mode & 0o777
+  }));
+  const archive = createZip(files.map(file => ({...file, name: `${name}/${file.name}`})));
+  const archivePath = path.join(outputDir, version, 'add-ons', `${name}.zip`);
+  const versionsPath = path.join(outputDir, 'versions.json');
+  const manifestPath = path.join(sourceDir, ADDON_MANIFEST);
+  const addonFiles = files.map(file => file.name).filter(file => file !== ADDON_MANIFEST && path.posix.basename(file) !== 'README.md').sort();
+  const meta = {
+    ...(fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {}),
+    files: addonFiles.length,
+    sha256: hashContent(archive)
+  };
+
+  try {
+    const versionsData = readLocalVersionsData(outputDir) || {versions: {}};
+    const versionMeta = versionsData.versions[version] ||= {};
+
+    versionMeta['add-ons'] = [...new Set([...(versionMeta['add-ons'] || []), name])].sort();
+    versionMeta['add-on-meta'] = {...versionMeta['add-on-meta'], [name]: meta};
+
+    fs.mkdirSync(path.dirname(archivePath), {recursive: true});
+    fs.writeFileSync(archivePath, archive);
 
-  if (!fs.existsSync(simplFile)) throw new Error('Not a Simpl project. Missing .simpl file in current directory.');
+    const packed = inspectAddonArchive(archivePath).files;
+    if (packed.join('\n') !== addonFiles.join('\n')) {
+      fs.rmSync(archivePath, {force: true});
+      throw new Error(`The archive would install ${packed.join(', ')} instead of ${addonFiles.join(', ')}`);
+    }
 
-  const config = JSON.parse(fs.readFileSync(simplFile, 'utf8'));
+    fs.writeFileSync(versionsPath, JSON.stringify(versionsData, null, 2) + '\n');
+  } catch (error) {
+    return fail(EXIT_CODES.error, `Failed to pack ${name}`, {hint: error.message, report});
+  }
 
-  if (!config.version) throw new Error('Invalid .simpl file: missing version field');
+  log();
+  log(`  📦 Packed ${COLORS.cyan}${name}${COLORS.reset} for Simpl v${version}`, 'bold');
+  log(`  ${COLORS.green}✓${COLORS.reset} Wrote ${COLORS.bold}${path.relative(process.cwd(), archivePath) || archivePath}${COLORS.reset} ${COLORS.dim}(${files.length} file${files.length !== 1 ? 's' : ''}, ${formatSize(archive.length)})${COLORS.reset}`);
+  log(`  ${COLORS.green}✓${COLORS.reset} Updated ${COLORS.bold}${path.relative(process.cwd(), versionsPath) || versionsPath}${COLORS.reset}`);
+  log();
+  log(`  ${COLORS.bold}versions.json entry:${COLORS.reset}`, 'blue');
+  JSON.stringify({[name]: meta}, null, 2).split('\n').forEach(line => log(`    ${COLORS.dim}${line}${COLORS.reset}`));
+  log();
 
-  return config.version;
+  return {...report, archive: archivePath, sha256: meta.sha256, files: files.map(file => file.name), entry: meta, success: true, exitCode: EXIT_CODES.success};
 };
 
-const showHelp = () => {
-  console.log();
-  log(`  ╭${'─'.repeat(62)}╮`);
-  log(`  │  ${COLORS.bold}Simpl Add-on Installer${COLORS.reset}${' '.repeat(38)}│`);
-  log(`  ╰${'─'.repeat(62)}╯`);
-  console.log();
-  log(`  ${COLORS.bold}Usage:${COLORS.reset}`, 'blue');
-  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon${COLORS.reset}`);
-  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon <add-on>${COLORS.reset}`);
-  log(`    ${COLORS.dim}npx @ijuantm/simpl-addon --help${COLORS.reset}`);
-  console.log();
-  log(`  ${COLORS.bold}Commands:${COLORS.reset}`, 'blue');
-  log(`    ${COLORS.dim}--help, -h${COLORS.reset}    Show this help message`);
-  console.log();
-  log(`  ${COLORS.bold}Note:${COLORS.reset}`, 'blue');
-  log(`    Run this command from the root of your Simpl project.`);
-  log(`    The add-on version will match your Simpl framework version.`);
-  console.log();
-};
+const formatSize = (bytes) => bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 
-const checkServerAvailability = () => new Promise(resolve => {
-  const req = https.get(`${CDN_BASE}/versions.json`, {timeout: 5000}, res => {
-    res.resume();
-    resolve(res.statusCode === 200);
-  });
-  req.on('error', () => resolve(false));
-  req.on('timeout', () => {
-    req.destroy();
-    resolve(false);
+const getCacheEntries = () => {
+  const versions = [], archives = [];
+
+  listFiles(CACHE_DIR).forEach(file => {
+    const {size, mtime, mtimeMs} = fs.statSync(path.join(CACHE_DIR, file));
+    const parts = file.split('/');
+
+    if (parts.length === 2 && parts[1] === 'versions.json') versions.push({registry: parts[0], size, fetchedAt: mtime.toISOString(), stale: Date.now() - mtimeMs > VERSIONS_CACHE_TTL});
+    if (parts.length === 4 && parts[1] === 'add-ons' && parts[3].endsWith('.zip')) archives.push({registry: parts[0], name: parts[3].replace(/\.zip$/, ''), version: parts[2], size, cachedAt: mtime.toISOString()});
   });
-});
 
-const getVersionsData = async () => {
-  if (!await checkServerAvailability()) throw new Error('CDN server is currently unreachable');
-  return JSON.parse(await fetchUrl(`${CDN_BASE}/versions.json`));
+  return {versions, archives, size: [...versions, ...archives].reduce((total, entry) => total + entry.size, 0)};
 };
 
-const getAvailableAddons = async (version) => {
-  const localAddonsDir = path.join(LOCAL_RELEASES_DIR, version, 'add-ons');
-
-  if (fs.existsSync(localAddonsDir)) return fs.readdirSync(localAddonsDir, {withFileTypes: true})
-    .filter(entry => entry.isFile() && entry.name.endsWith('.zip'))
-    .map(entry => entry.name.replace('.zip', ''))
-    .sort();
+const listCache = () => {
+  const {versions, archives, size} = getCacheEntries();
+  const registryNames = [...new Set([...versions, ...archives].map(({registry}) => registry))];
 
-  const versionMeta = (await getVersionsData()).versions[version];
-  return (versionMeta?.['add-ons'] || []).sort();
-};
+  log();
+  log(`  ${COLORS.bold}Cache${COLORS.reset} ${COLORS.dim}(${CACHE_DIR})${COLORS.reset}`, 'blue');
 
-const extractMarkers = (content) => {
-  const markers = [];
+  if (registryNames.length === 0) {
+    log();
+    log(`    ${COLORS.dim}The cache is empty${COLORS.reset}`);
+  }
 
-  content.split('\n').forEach((line, i) => {
-    const afterMatch = line.match(/@addon-insert:after\s*\(\s*(["'])(.+?)\1\s*\)/);
-    const beforeMatch = line.match(/@addon-insert:before\s*\(\s*(["'])(.+?)\1\s*\)/);
-    const replaceMatch = line.match(/@addon-insert:replace\s*\(\s*(["'])(.+?)\1\s*\)/);
+  registryNames.forEach(registry => {
+    const cachedVersions = versions.find(entry => entry.registry === registry);
 
-    if (afterMatch) markers.push({type: 'after', lineIndex: i, searchText: afterMatch[2]});
-    else if (beforeMatch) markers.push({type: 'before', lineIndex: i, searchText: beforeMatch[2]});
-    else if (replaceMatch) markers.push({type: 'replace', lineIndex: i, markerName: replaceMatch[2]});
-    else if (line.includes('@addon-insert:prepend')) markers.push({type: 'prepend', lineIndex: i});
-    else if (line.includes('@addon-insert:append')) markers.push({type: 'append', lineIndex: i});
+    log();
+    log(`    ${COLORS.bold}${registry}${COLORS.reset}`);
+    if (cachedVersions) log(`      ${COLORS.cyan}•${COLORS.reset} versions.json ${COLORS.dim}(fetched ${cachedVersions.fetchedAt.slice(0, 16).replace('T', ' ')}${cachedVersions.stale ? ', stale' : ''})${COLORS.reset}`);
+    archives.filter(entry => entry.registry === registry).forEach(({name, version, size: archiveSize}) => log(`      ${COLORS.cyan}•${COLORS.reset} ${name} ${COLORS.dim}v${version} · ${formatSize(archiveSize)}${COLORS.reset}`));
   });
 
-  return markers;
+  log();
+  log(`  ${COLORS.dim}Total: ${formatSize(size)}${COLORS.reset}`);
+  log();
+
+  return {command: 'cache list', directory: CACHE_DIR, versions, archives, size, success: true, exitCode: EXIT_CODES.success};
 };
 
-const collectContentBetweenMarkers = (lines, startIndex) => {
-  const content = [];
+const cleanCache = () => {
+  const {versions, archives, size} = getCacheEntries();
 
-  for (let i = startIndex + 1; i < lines.length; i++) {
-    if (lines[i].trim().includes('@addon-end')) break;
-    content.push(lines[i]);
+  log();
+
+  if (archives.length === 0 && versions.length === 0) log(`  ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}The cache is already empty${COLORS.reset}`);
+  else {
+    const files = [
+      ...versions.map(({registry}) => getCachedVersionsPath({name: registry})),
+      ...archives.map(({registry, name, version}) => getCachedArchivePath({name: registry}, name, version))
+    ];
+
+    try {
+      files.forEach(file => {
+        fs.rmSync(file, {force: true});
+        for (let dir = path.dirname(file); dir !== CACHE_DIR && fs.existsSync(dir) && fs.readdirSync(dir).length === 0; dir = path.dirname(dir)) fs.rmdirSync(dir);
+      });
+    } catch (error) {
+      return fail(EXIT_CODES.error, 'Failed to clean the cache', {hint: error.message, report: {command: 'cache clean', directory: CACHE_DIR}});
+    }
+
+    log(`  ${COLORS.green}✓${COLORS.reset} Removed ${COLORS.bold}${archives.length}${COLORS.reset} cached archive${archives.length !== 1 ? 's' : ''} and ${COLORS.bold}${versions.length}${COLORS.reset} versions.json file${versions.length !== 1 ? 's' : ''} ${COLORS.dim}(${formatSize(size)})${COLORS.reset}`);
   }
 
-  return content;
+  log();
+
+  return {command: 'cache clean', directory: CACHE_DIR, removed: {versions, archives}, size, success: true, exitCode: EXIT_CODES.success};
 };
 
-const normalizeContent = (lines) => lines.map(l => l.trim()).filter(l => l && !l.startsWith('//') && !l.startsWith('#') && !l.startsWith('/*') && !l.startsWith('*')).join('|');
+const parseCliArgs = () => {
+  try {
+    return parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        help: {type: 'boolean', short: 'h'},
+        list: {type: 'boolean'},
+        'dry-run': {type: 'boolean'},
+        json: {type: 'boolean'},
+        yes: {type: 'boolean', short: 'y'},
+        'on-conflict': {type: 'string'},
+        'skip-scripts': {type: 'boolean'},
+        'no-verify': {type: 'boolean'},
+        offline: {type: 'boolean'},
+        timeout: {type: 'string'},
+        retries: {type: 'string'},
+        project: {type: 'string'},
+        output: {type: 'string'},
+        'simpl-version': {type: 'string'},
+        set: {type: 'string', multiple: true},
+        'non-interactive': {type: 'boolean'}
+      }
+    });
+  } catch (error) {
+    runtime.json = process.argv.slice(2).includes('--json');
+    return fail(EXIT_CODES.error, error.message, {hint: 'Run simpl-addon --help for the available options'});
+  }
+};
 
-const processEnvContent = (content, targetContent) => {
-  const envVarsToAdd = [], comments = [];
+const installAddons = async (addonNames, {version, available, dryRun, onConflict, skipScripts, variables = {}}) => {
+  const title = addonNames.join(', ');
 
-  content.forEach(line => {
-    const trimmed = line.trim();
+  log();
+  log(`  ╭${'─'.repeat(62)}╮`);
+  log(`  │  ${COLORS.bold}Installing: ${COLORS.cyan}${title}${COLORS.reset} ${COLORS.dim}(v${version})${COLORS.reset}${' '.repeat(Math.max(0, 44 - title.length - version.length))}│`);
+  log(`  ╰${'─'.repeat(62)}╯`);
 
-    if (trimmed.startsWith('#') || !trimmed) {
-      comments.push(line);
-      return;
+  const report = {command: 'install', version, dryRun, addons: []};
+  const config = readSimplConfig();
+  let values = {...getProjectVariables(config), ...variables};
+  const transaction = createTransaction();
+  const stage = createStage();
+  const tempDirs = [];
+
+  const cleanup = () => tempDirs.forEach(dir => fs.rmSync(dir, {recursive: true, force: true}));
+
+  const onInterrupt = () => {
+    const failed = transaction.rollback();
+    cleanup();
+
+    printFailure(new AddonError('Installation cancelled, all changes were rolled back', {exitCode: EXIT_CODES.cancelled, report, details: () => printRollbackFailures(failed)}));
+    process.exit(EXIT_CODES.cancelled);
+  };
+
+  if (runtime.cli) process.once('SIGINT', onInterrupt);
+
+  try {
+    let plan;
+
+    try {
+      plan = await resolveInstallPlan(addonNames, {version, available, installed: config.addons || {}, tempDirs});
+    } catch (error) {
+      return failForDownload(error, 'Installation failed', report);
     }
 
-    const match = line.match(/^([A-Z_][A-Z0-9_]*)=/);
-    if (match && !new RegExp(`^${match[1]}=`, 'm').test(targetContent)) envVarsToAdd.push(line);
-  });
+    if (plan.order.length > 1 || plan.satisfied.length > 0) printInstallPlan(plan);
 
-  return {content: [...comments, ...envVarsToAdd], count: envVarsToAdd.length};
-};
+    for (const {name, registry, sourceDir, source, manifest, requiredBy} of plan.order) {
+      if (plan.order.length > 1) {
+        log();
+        log(`  ${COLORS.bold}▸ ${COLORS.cyan}${name}${COLORS.reset}`);
+      }
 
-const findInsertIndex = (lines, searchText, type) => {
-  for (let i = 0; i < lines.length; i++) if (lines[i].includes(searchText)) return type === 'before' ? i : i + 1;
-  return -1;
-};
+      values = await resolveVariables(name, manifest.variables, values);
+      renderAddonFiles(sourceDir, values);
 
-const findMarkerLine = (lines, markerName) => {
-  const markerPattern = new RegExp(`@addon-marker\\s*\\(\\s*["']${markerName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["']\\s*\\)`);
-  for (let i = 0; i < lines.length; i++) if (markerPattern.test(lines[i])) return i;
-  return -1;
-};
+      const {toCopy, skipped: existing, toMerge} = processAddonFiles(sourceDir, runtime.projectDir, stage);
+      toCopy.forEach(({srcPath, destPath}) => stage.copy(srcPath, destPath));
 
-const mergeFile = (targetPath, addonContent, markers, isEnv = false) => {
-  const targetContent = fs.readFileSync(targetPath, 'utf8');
-  const addonLines = addonContent.split('\n');
-  const operations = [];
-  let newContent = targetContent;
+      const {kept: skipped, replaced, sidecars} = await resolveExistingFiles(existing.map(relativePath => ({
+        relativePath,
+        srcPath: path.join(sourceDir, relativePath),
+        destPath: path.join(runtime.projectDir, relativePath)
+      })), stage, {onConflict, dryRun});
 
-  markers.forEach(marker => {
-    let content = collectContentBetweenMarkers(addonLines, marker.lineIndex);
-    if (content.length === 0) return;
+      if (toCopy.length > 0) {
+        log();
+        if (dryRun) {
+          log(`  ${COLORS.green}+${COLORS.reset} Would copy ${COLORS.bold}${toCopy.length}${COLORS.reset} new file${toCopy.length !== 1 ? 's' : ''}:`);
+          toCopy.forEach(({relativePath}) => log(`    ${COLORS.green}• ${relativePath}${COLORS.reset}`));
+        } else log(`  ${COLORS.green}+${COLORS.reset} Staged ${COLORS.bold}${toCopy.length}${COLORS.reset} new file${toCopy.length !== 1 ? 's' : ''}`);
+      }
 
-    let lineCount = content.length;
+      if (skipped.length > 0) {
+        log();
+        log(`  ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}${dryRun ? 'Would skip' : 'Skipped'} ${skipped.length} file${skipped.length !== 1 ? 's' : ''} (no merge markers):${COLORS.reset}`);
+        skipped.forEach(file => log(`    ${COLORS.dim}• ${file}${COLORS.reset}`));
+        if (!onConflict && (!runtime.interactive || dryRun)) log(`    ${COLORS.dim}Use --on-conflict=overwrite or --on-conflict=sidecar to apply the add-on versions${COLORS.reset}`);
+      }
 
-    if (isEnv) {
-      const processed = processEnvContent(content, newContent);
-      content = processed.content;
-      lineCount = processed.count;
+      if (replaced.length > 0) {
+        log();
+        log(`  ${COLORS.green}✓${COLORS.reset} ${dryRun ? 'Would replace' : 'Replaced'} ${COLORS.bold}${replaced.length}${COLORS.reset} existing file${replaced.length !== 1 ? 's' : ''} ${COLORS.dim}(backups saved as .addon-backup)${COLORS.reset}:`);
+        replaced.forEach(({relativePath}) => log(`    ${COLORS.green}• ${relativePath}${COLORS.reset}`));
+      }
 
-      if (content.length === 0) {
-        operations.push({success: false, type: marker.type, lines: 0, searchText: marker.searchText});
-        return;
+      if (sidecars.length > 0) {
+        log();
+        log(`  ${COLORS.green}+${COLORS.reset} ${dryRun ? 'Would save' : 'Saved'} ${COLORS.bold}${sidecars.length}${COLORS.reset} add-on version${sidecars.length !== 1 ? 's' : ''} next to your files:`);
+        sidecars.forEach(({relativePath}) => log(`    ${COLORS.green}• ${relativePath}${COLORS.reset}`));
       }
-    } else {
-      const signature = normalizeContent(content);
-      const targetSignature = normalizeContent(newContent.split('\n'));
 
-      if (signature && targetSignature.includes(signature)) {
-        operations.push({success: false, type: marker.type, lines: content.length, searchText: marker.searchText || marker.markerName});
-        return;
+      let writes = [], merged = [], failed = [], unchanged = [], results = [];
+
+      if (toMerge.length > 0) {
+        log();
+        log(dryRun ? '  🔀 Planning merges...' : '  🔀 Merging existing files...', 'bold');
+        ({merged, failed, unchanged, writes, results} = mergeFiles(toMerge, stage, name));
+
+        log();
+        log('  ' + '─'.repeat(16), 'gray');
+        log();
+
+        if (merged.length > 0) log(`  ${COLORS.green}✓${COLORS.reset} ${dryRun ? 'Would merge' : 'Staged merges for'} ${COLORS.bold}${merged.length}${COLORS.reset} file${merged.length !== 1 ? 's' : ''}`);
+        if (unchanged.length > 0) log(`  ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}${unchanged.length} file${unchanged.length !== 1 ? 's' : ''} unchanged (content already exists)${COLORS.reset}`);
+
+        if (failed.length > 0) {
+          log();
+          log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}${failed.length} file${failed.length !== 1 ? 's' : ''} failed to merge${COLORS.reset}`);
+          log(`  ${COLORS.yellow}Please review manually:${COLORS.reset}`);
+          failed.forEach(file => log(`    ${COLORS.cyan}• ${file}${COLORS.reset}`));
+        }
       }
-    }
 
-    if (marker.type === 'prepend') {
-      newContent = content.join('\n') + '\n' + newContent;
-      operations.push({success: true, type: 'prepend', lines: lineCount});
-    } else if (marker.type === 'append') {
-      if (!newContent.endsWith('\n')) newContent += '\n';
-      newContent += '\n' + content.join('\n') + '\n';
-      operations.push({success: true, type: 'append', lines: lineCount});
-    } else if (marker.type === 'replace' && marker.markerName) {
-      const targetLines = newContent.split('\n');
-      const markerLine = findMarkerLine(targetLines, marker.markerName);
+      const missingSecrets = await resolveSecrets(manifest.secrets, writes, stage, dryRun);
 
-      if (markerLine === -1) {
-        operations.push({success: false, type: 'notfound', markerName: marker.markerName});
-        return;
+      if (missingSecrets.length > 0) {
+        log();
+        missingSecrets.forEach(({file, key}) => log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}${key} ${dryRun && runtime.interactive ? 'would be asked for' : 'needs a value'} in ${file}${COLORS.reset}`));
       }
 
-      targetLines.splice(markerLine, 1, ...content);
-      newContent = targetLines.join('\n');
-      operations.push({success: true, type: 'replace', lines: lineCount, markerName: marker.markerName});
-    } else if ((marker.type === 'after' || marker.type === 'before') && marker.searchText) {
-      const targetLines = newContent.split('\n');
-      const insertIndex = findInsertIndex(targetLines, marker.searchText, marker.type);
+      report.addons.push({
+        name,
+        version,
+        registry,
+        source,
+        requiredBy,
+        copied: [...toCopy, ...sidecars].map(({relativePath}) => relativePath),
+        replaced: replaced.map(({relativePath, backup}) => ({file: relativePath, backup})),
+        skipped,
+        merges: results,
+        missingSecrets,
+        counts: {copied: toCopy.length + sidecars.length, replaced: replaced.length, skipped: skipped.length, merged: merged.length, unchanged: unchanged.length, failed: failed.length}
+      });
+
+      stagePristineCopy(name, sourceDir, stage);
+      config.addons = {...config.addons, [name]: mergeManifestEntry(config.addons?.[name], createManifestEntry(version, manifest, [...toCopy, ...replaced, ...sidecars], writes, registry))};
+    }
 
-      if (insertIndex === -1) {
-        operations.push({success: false, type: 'notfound', searchText: marker.searchText});
-        return;
+    if (Object.keys(values).length > 0) config.variables = report.variables = values;
+
+    const changes = stage.changes();
+    const written = changes.filter(({destPath}) => !isPristinePath(destPath)).length;
+    const steps = plan.order.flatMap(({name, manifest}) => manifest.postInstall.map(step => ({addon: name, ...step})));
+    const summary = report.addons.map(({name, counts}) => ({name, ...counts}));
+    const warnings = report.addons.flatMap(({name, merges, missingSecrets}) => [...merges.flatMap(({file, operations}) => operations
+      .filter(op => ['notfound', 'ambiguous', 'invalid', 'conflict'].includes(op.type))
+      .map(op => ({addon: name, file, type: op.type, message: {
+        ambiguous: () => `Ambiguous target: ${op.anchor} matches lines ${op.matches?.join(', ')}`,
+        invalid: () => `Invalid marker: ${op.message}`,
+        conflict: () => `Kept ${op.anchor} as ${JSON.stringify(op.current)}, the add-on wants ${JSON.stringify(op.incoming)}`,
+        notfound: () => `Could not find target: ${op.anchor}`
+      }[op.type]()}))),
+      ...missingSecrets.map(({file, key}) => ({addon: name, file, type: 'secret', message: `${key} needs a value`}))]);
+
+    report.warnings = warnings;
+
+    if (dryRun) {
+      report.diffs = createChangeDiffs(changes);
+      printChangeDiffs(report.diffs);
+      printInstallSummary(summary, dryRun);
+
+      if (steps.length > 0) {
+        printPostInstallSteps(steps);
+        report.steps = steps.map(step => ({...step, status: 'skipped'}));
       }
 
-      targetLines.splice(insertIndex, 0, ...content);
-      newContent = targetLines.join('\n');
-      operations.push({success: true, type: marker.type, lines: lineCount, searchText: marker.searchText});
+      log();
+      log(`  ${COLORS.cyan}ℹ${COLORS.reset} ${COLORS.bold}Dry run complete, no files were written${COLORS.reset}`);
+      log();
+
+      const exitCode = warnings.length > 0 ? EXIT_CODES.mergeWarnings : EXIT_CODES.success;
+      return {...report, success: true, exitCode};
+    }
+
+    if (summary.some(({failed}) => failed > 0)) {
+      printInstallSummary(summary, dryRun);
+      return fail(EXIT_CODES.error, 'Installation aborted, no files were changed', {report});
     }
-  });
 
-  if (newContent !== targetContent) fs.writeFileSync(targetPath, newContent, 'utf8');
+    log();
+    log('  💾 Writing changes...', 'bold');
 
-  return {modified: newContent !== targetContent, operations};
-};
+    try {
+      transaction.commit([...changes, {type: 'write', destPath: getSimplFile(), content: serializeSimplConfig(config)}]);
+    } catch (error) {
+      return fail(EXIT_CODES.error, 'Installation failed, all changes were rolled back', {hint: error.message, report, details: () => printRollbackFailures(error.rollbackFailed)});
+    }
 
-const printMergeResults = (relativePath, isEnv, result) => {
-  const indent = '    ';
-  const varText = isEnv ? 'environment variable' : 'line';
-  let hasChanges = false;
+    log(`  ${COLORS.green}✓${COLORS.reset} Wrote ${COLORS.bold}${written}${COLORS.reset} file${written !== 1 ? 's' : ''}`);
+    printInstallSummary(summary, dryRun);
 
-  result.operations.forEach(op => {
-    if (op.success) {
-      hasChanges = true;
-      if (op.type === 'prepend') log(`${indent}${COLORS.green}✓${COLORS.reset} Prepended ${COLORS.bold}${op.lines}${COLORS.reset} ${varText}${op.lines !== 1 ? 's' : ''} to file start`);
-      else if (op.type === 'append') log(`${indent}${COLORS.green}✓${COLORS.reset} Appended ${COLORS.bold}${op.lines}${COLORS.reset} ${varText}${op.lines !== 1 ? 's' : ''} to file end`);
-      else if (op.type === 'replace') log(`${indent}${COLORS.green}✓${COLORS.reset} Replaced marker ${COLORS.cyan}${op.markerName}${COLORS.reset} with ${COLORS.bold}${op.lines}${COLORS.reset} ${varText}${op.lines !== 1 ? 's' : ''}`);
-      else if (op.type === 'after') log(`${indent}${COLORS.green}✓${COLORS.reset} Inserted ${COLORS.bold}${op.lines}${COLORS.reset} ${varText}${op.lines !== 1 ? 's' : ''} ${COLORS.cyan}after${COLORS.reset} ${COLORS.dim}${op.searchText}${COLORS.reset}`);
-      else if (op.type === 'before') log(`${indent}${COLORS.green}✓${COLORS.reset} Inserted ${COLORS.bold}${op.lines}${COLORS.reset} ${varText}${op.lines !== 1 ? 's' : ''} ${COLORS.cyan}before${COLORS.reset} ${COLORS.dim}${op.searchText}${COLORS.reset}`);
-    } else if (op.type === 'notfound') {
-      const target = op.markerName ? `marker ${COLORS.dim}${op.markerName}${COLORS.reset}` : `${COLORS.dim}${op.searchText}${COLORS.reset}`;
-      log(`${indent}${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}Could not find target:${COLORS.reset} ${target}`);
-    } else log(`${indent}${COLORS.gray}○${COLORS.reset} ${COLORS.dim}Content already exists (${op.type})${COLORS.reset}`);
-  });
+    log();
+    if (warnings.length > 0) log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.bold}${COLORS.yellow}Installation complete with ${warnings.length} warning${warnings.length !== 1 ? 's' : ''}, please review manually${COLORS.reset}`);
+    else log(`  ${COLORS.green}✓${COLORS.reset} ${COLORS.bold}${COLORS.green}Installation complete!${COLORS.reset}`, 'green');
 
-  return hasChanges;
-};
+    process.removeListener('SIGINT', onInterrupt);
+    report.steps = await runPostInstallSteps(steps, skipScripts);
 
-const extractZip = async (zipPath, destDir) => {
-  fs.mkdirSync(destDir, {recursive: true});
+    const failedSteps = report.steps.filter(({status}) => status === 'failed');
 
-  if (process.platform === 'win32') await execAsync(`powershell -command "Expand-Archive -Path '${zipPath}' -DestinationPath '${destDir}' -Force"`);
-  else await execAsync(`unzip -q "${zipPath}" -d "${destDir}"`);
+    if (failedSteps.length > 0) {
+      log();
+      log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}${failedSteps.length} post-install step${failedSteps.length !== 1 ? 's' : ''} failed, please run ${failedSteps.length !== 1 ? 'them' : 'it'} manually:${COLORS.reset}`);
+      failedSteps.forEach(({run}) => log(`    ${COLORS.cyan}• ${run}${COLORS.reset}`));
+    }
 
-  const entries = fs.readdirSync(destDir, {withFileTypes: true});
+    log();
 
-  if (entries.length === 1 && entries[0].isDirectory()) {
-    const nestedDir = path.join(destDir, entries[0].name);
-    fs.readdirSync(nestedDir).forEach(item => fs.renameSync(path.join(nestedDir, item), path.join(destDir, item)));
-    fs.rmdirSync(nestedDir);
+    const exitCode = warnings.length > 0 || failedSteps.length > 0 ? EXIT_CODES.mergeWarnings : EXIT_CODES.success;
+    return {...report, success: true, exitCode};
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+    cleanup();
   }
-
-  return destDir;
 };
 
-const processAddonFiles = (addonDir, targetDir) => {
-  const copied = [], skipped = [], toMerge = [];
+const mergeProjectFile = (targetPath, content, {addonName, dryRun}) => {
+  const relativePath = path.relative(runtime.projectDir, targetPath).replace(/\\/g, '/');
+  const markers = extractMarkers(content);
+  const json = path.extname(targetPath) === '.json' && markers.length === 0;
+  const report = {command: 'merge', file: relativePath, dryRun};
 
-  const processDirectory = (dir, basePath = '') => fs.readdirSync(dir, {withFileTypes: true}).forEach(entry => {
-    if (entry.name === 'README.md') return;
+  if (!fs.existsSync(targetPath)) return fail(EXIT_CODES.error, `File ${COLORS.bold}${relativePath}${COLORS.reset}${COLORS.red} does not exist`, {report});
+  if (!json && markers.length === 0 && !isEnvFile(targetPath)) return fail(EXIT_CODES.error, `No merge markers found for ${COLORS.bold}${relativePath}${COLORS.reset}`, {report});
 
-    const srcPath = path.join(dir, entry.name);
-    const relativePath = path.join(basePath, entry.name).replace(/\\/g, '/');
-    const destPath = path.join(targetDir, relativePath);
+  const stage = createStage();
+  const {failed, results} = mergeFiles([{content, destPath: targetPath, relativePath, markers, json}], stage, addonName);
 
-    if (entry.isDirectory()) {
-      processDirectory(srcPath, relativePath);
-    } else {
-      const content = fs.readFileSync(srcPath, 'utf8');
+  report.merges = results;
+  if (failed.length > 0) return fail(EXIT_CODES.error, `Failed to merge ${COLORS.bold}${relativePath}${COLORS.reset}`, {hint: results.find(({status}) => status === 'failed').error, report});
 
-      if (fs.existsSync(destPath)) {
-        const markers = extractMarkers(content);
-        if (markers.length > 0 || entry.name === '.env') toMerge.push({content, destPath, relativePath, markers});
-        else skipped.push(relativePath);
-      } else {
-        fs.mkdirSync(path.dirname(destPath), {recursive: true});
-        fs.copyFileSync(srcPath, destPath);
-        copied.push(relativePath);
-      }
-    }
-  });
+  const changes = stage.changes();
 
-  processDirectory(addonDir);
+  if (dryRun) report.diffs = createChangeDiffs(changes);
+  else createTransaction().commit(changes);
 
-  return {copied, skipped, toMerge};
+  const warnings = results.flatMap(({operations}) => operations).filter(op => ['notfound', 'ambiguous', 'invalid', 'conflict'].includes(op.type)).length;
+  return {...report, success: true, exitCode: warnings > 0 ? EXIT_CODES.mergeWarnings : EXIT_CODES.success};
 };
 
-const downloadAddon = async (addonName, version, targetDir) => {
-  const localZipPath = path.join(LOCAL_RELEASES_DIR, version, 'add-ons', `${addonName}.zip`);
-  const tempExtract = path.join(process.cwd(), '__temp_extract_addon__');
+const getProjectVersion = () => {
+  try {
+    return getSimplVersion();
+  } catch (error) {
+    return fail(EXIT_CODES.notSimplProject, error.message);
+  }
+};
 
+const checkRegistries = () => {
   try {
-    if (fs.existsSync(localZipPath)) {
-      console.log();
-      log(`  💻 Using local add-on files`, 'bold');
-      const sourceDir = await extractZip(localZipPath, tempExtract);
-      const result = processAddonFiles(sourceDir, targetDir);
-      fs.rmSync(tempExtract, {recursive: true, force: true});
-      return result;
-    }
+    return getRegistries();
+  } catch (error) {
+    return fail(EXIT_CODES.error, 'Invalid registry configuration', {hint: error.message});
+  }
+};
 
-    if (!await checkServerAvailability()) throw new Error('CDN server is currently unreachable');
+const getInstallableAddons = async (version) => {
+  const registry = getRegistry();
+  const hasOtherSources = getRegistries().length > 1 || (registry.dir && fs.existsSync(path.join(registry.dir, version, 'add-ons')));
+  let versionsData = null;
 
-    const tempZip = path.join(process.cwd(), `temp-addon-${addonName}.zip`);
-    await downloadFile(`${CDN_BASE}/${version}/add-ons/${addonName}.zip`, tempZip);
-    const sourceDir = await extractZip(tempZip, tempExtract);
-    const result = processAddonFiles(sourceDir, targetDir);
-    fs.unlinkSync(tempZip);
-    fs.rmSync(tempExtract, {recursive: true, force: true});
-    return result;
+  try {
+    versionsData = await getVersionsData(registry);
   } catch (error) {
-    if (fs.existsSync(tempExtract)) fs.rmSync(tempExtract, {recursive: true, force: true});
-    throw error;
+    if (!hasOtherSources) return failForDownload(error, 'Failed to fetch version data');
   }
-};
 
-const mergeFiles = (toMerge) => {
-  if (toMerge.length === 0) return {merged: [], failed: [], unchanged: []};
+  const versionMeta = versionsData?.versions[version] || null;
+  if (!versionMeta && !hasOtherSources) return fail(EXIT_CODES.error, `Version ${COLORS.bold}${version}${COLORS.reset}${COLORS.red} not found`);
+
+  if (versionMeta?.['script-compatible'] === false) return fail(EXIT_CODES.error, `Version ${COLORS.bold}${version}${COLORS.reset}${COLORS.red} is not compatible with this installer`, {
+    details: () => {
+      log();
+      log(`  ${COLORS.bold}Manual download:${COLORS.reset}`, 'blue');
+      log(`    ${COLORS.cyan}${registry.url}/${version}/add-ons/`, 'cyan');
+      log();
+      log(`  ${COLORS.bold}Available add-ons for this version:${COLORS.reset}`, 'blue');
+
+      const addons = versionMeta['add-ons'] || [];
+      if (addons.length === 0) log(`    ${COLORS.dim}No add-ons available${COLORS.reset}`);
+      else addons.forEach(name => {
+        log(`    ${COLORS.cyan}•${COLORS.reset} ${name}: ${COLORS.dim}${registry.url}/${version}/add-ons/${name}.zip${COLORS.reset}`);
+      });
+    }
+  });
 
-  const merged = [], failed = [], unchanged = [];
+  try {
+    return await getAvailableAddons(version);
+  } catch (error) {
+    return failForDownload(error, 'Failed to fetch add-ons');
+  }
+};
 
-  toMerge.forEach(({content, destPath, relativePath, markers}) => {
-    const isEnv = path.basename(destPath) === '.env';
-    log(`\n  ${COLORS.cyan}•${COLORS.reset} ${COLORS.dim}${relativePath}${COLORS.reset}`);
+const checkRequestedAddons = (addons, refs) => {
+  const missing = refs.filter(ref => !findAddon(addons, ref));
 
-    try {
-      const result = mergeFile(destPath, content, markers, isEnv);
-      if (printMergeResults(relativePath, isEnv, result)) merged.push(relativePath);
-      else unchanged.push(relativePath);
-    } catch (error) {
-      log(`    ${COLORS.red}✗ Error:${COLORS.reset} ${error.message}`, 'red');
-      failed.push(relativePath);
+  if (missing.length > 0) return fail(EXIT_CODES.addonNotFound, `Add-on${missing.length !== 1 ? 's' : ''} ${missing.map(name => `${COLORS.bold}${name}${COLORS.reset}${COLORS.red}`).join(', ')} not found`, {
+    details: () => {
+      log();
+      log(`  ${COLORS.bold}Available add-ons:${COLORS.reset}`, 'blue');
+      printAddonChoices(addons);
     }
   });
 
-  return {merged, failed, unchanged};
+  return [...new Set(refs)];
 };
 
 const main = async () => {
-  const args = process.argv.slice(2);
-  const firstArg = args[0];
+  const {values: options, positionals} = parseCliArgs();
+  const dryRun = options['dry-run'] === true;
 
-  if (firstArg === '--help' || firstArg === '-h') {
+  runtime.json = options.json === true;
+  runtime.interactive = !runtime.json && !options.yes && !options['non-interactive'] && process.stdin.isTTY === true;
+  runtime.yes = options.yes === true;
+  runtime.verify = options['no-verify'] !== true;
+  runtime.offline = options.offline === true;
+
+  if (options.help) {
     showHelp();
-    process.exit(0);
+    process.exit(EXIT_CODES.success);
   }
 
-  const directName = firstArg && !firstArg.startsWith('-') ? firstArg : null;
+  const command = positionals[0] || null;
 
-  let version;
+  if (command === 'cache') {
+    if (positionals[1] === 'list') return listCache();
+    if (positionals[1] === 'clean') return cleanCache();
+    return fail(EXIT_CODES.error, `Unknown cache command, usage: ${COLORS.bold}simpl-addon cache list${COLORS.reset}${COLORS.red} or ${COLORS.bold}simpl-addon cache clean${COLORS.reset}`);
+  }
 
-  try {
-    version = getSimplVersion();
-  } catch (error) {
-    console.log();
-    log(`  ${COLORS.red}✗${COLORS.reset} ${error.message}`, 'red');
-    console.log();
-    process.exit(1);
+  if (command === 'validate' || command === 'pack') {
+    if (!positionals[1]) return fail(EXIT_CODES.error, `Missing add-on directory, usage: ${COLORS.bold}simpl-addon ${command} <dir>${COLORS.reset}`);
+
+    const sourceDir = path.resolve(positionals[1]);
+    const isProject = fs.existsSync(getSimplFile());
+
+    if (command === 'validate') return validateAddon(sourceDir, options.project ? path.resolve(options.project) : isProject ? runtime.projectDir : null);
+
+    let version = options['simpl-version'] || null;
+    if (!version && isProject) version = readSimplConfig().version || null;
+
+    return packAddon(sourceDir, {version, outputDir: path.resolve(options.output || 'dist')});
   }
 
-  console.log();
-  log(`  ╭${'─'.repeat(62)}╮`);
-  log(`  │  ${COLORS.bold}Simpl Add-on Installer${COLORS.reset} ${COLORS.dim}(v${version})${COLORS.reset}${' '.repeat(34 - version.length)}│`);
-  log(`  ╰${'─'.repeat(62)}╯`);
+  if (options['on-conflict'] && !CONFLICT_ACTIONS.includes(options['on-conflict'])) {
+    return fail(EXIT_CODES.error, `Invalid --on-conflict value ${COLORS.bold}${options['on-conflict']}${COLORS.reset}${COLORS.red}, use ${CONFLICT_ACTIONS.join(', ')}`);
+  }
 
-  let versionsData;
+  if (options.timeout !== undefined) {
+    if (!/^\d+(\.\d+)?$/.test(options.timeout) || Number(options.timeout) <= 0) return fail(EXIT_CODES.error, `Invalid --timeout value ${COLORS.bold}${options.timeout}${COLORS.reset}${COLORS.red}, use a number of seconds`);
+    runtime.timeout = Number(options.timeout) * 1000;
+  }
 
-  try {
-    versionsData = await getVersionsData();
-  } catch (error) {
-    console.log();
-    log(`  ${COLORS.red}✗${COLORS.reset} Failed to fetch version data`, 'red');
-    if (error.message === 'CDN server is currently unreachable') log(`  ${COLORS.dim}The CDN server is currently unavailable. Please try again later.${COLORS.reset}`);
-    console.log();
-    process.exit(1);
-  }
-
-  const versionMeta = versionsData.versions[version];
-  if (!versionMeta) {
-    console.log();
-    log(`  ${COLORS.red}✗${COLORS.reset} Version ${COLORS.bold}${version}${COLORS.reset} not found`, 'red');
-    console.log();
-    process.exit(1);
-  }
-
-  if (versionMeta['script-compatible'] === false) {
-    console.log();
-    log(`  ${COLORS.red}✗${COLORS.reset} Version ${COLORS.bold}${version}${COLORS.reset} is not compatible with this installer`, 'red');
-    console.log();
-    log(`  ${COLORS.bold}Manual download:${COLORS.reset}`, 'blue');
-    log(`    ${COLORS.cyan}${CDN_BASE}/${version}/add-ons/`, 'cyan');
-    console.log();
-    log(`  ${COLORS.bold}Available add-ons for this version:${COLORS.reset}`, 'blue');
-
-    const addons = versionMeta['add-ons'] || [];
-    if (addons.length === 0) log(`    ${COLORS.dim}No add-ons available${COLORS.reset}`);
-    else addons.forEach(name => {
-      log(`    ${COLORS.cyan}•${COLORS.reset} ${name}: ${COLORS.dim}${CDN_BASE}/${version}/add-ons/${name}.zip${COLORS.reset}`);
-    });
+  if (options.retries !== undefined) {
+    if (!/^\d+$/.test(options.retries)) return fail(EXIT_CODES.error, `Invalid --retries value ${COLORS.bold}${options.retries}${COLORS.reset}${COLORS.red}, use a whole number`);
+    runtime.retries = Number(options.retries);
+  }
+
+  const variables = parseVariables(options.set);
 
-    console.log();
-    process.exit(1);
+  const version = getProjectVersion();
+
+  if (command === 'remove') {
+    if (!positionals[1]) return fail(EXIT_CODES.error, `Missing add-on name, usage: ${COLORS.bold}simpl-addon remove <add-on>${COLORS.reset}`);
+    return removeAddon(parseAddonRef(positionals[1]).name, version, dryRun);
   }
 
-  if (!directName) {
-    console.log();
-    log('  🗄️ Fetching available add-ons...', 'bold');
+  checkRegistries();
+
+  if (command === 'status' || command === 'doctor') return showStatus(version);
+
+  if (command === 'upgrade') return upgradeAddons(positionals[1] || null, version, dryRun, variables);
+
+  if (options.list) return listAddons(version);
+
+  if (command === 'info' || command === 'search') {
+    if (!positionals[1]) return fail(EXIT_CODES.error, `Missing ${command === 'info' ? 'add-on name' : 'search term'}, usage: ${COLORS.bold}simpl-addon ${command} <${command === 'info' ? 'add-on' : 'term'}>${COLORS.reset}`);
+    return command === 'info' ? showAddonInfo(positionals[1], version) : listAddons(version, positionals.slice(1).join(' '));
   }
 
-  let addons;
+  log();
+  log(`  ╭${'─'.repeat(62)}╮`);
+  log(`  │  ${COLORS.bold}Simpl Add-on Installer${COLORS.reset} ${COLORS.dim}(v${version})${COLORS.reset}${' '.repeat(34 - version.length)}│`);
+  log(`  ╰${'─'.repeat(62)}╯`);
 
-  try {
-    addons = await getAvailableAddons(version);
-  } catch (error) {
-    console.log();
-    log(`  ${COLORS.red}✗${COLORS.reset} Failed to fetch add-ons`, 'red');
-    if (error.message === 'CDN server is currently unreachable') log(`  ${COLORS.dim}The CDN server is currently unavailable. Please try again later.${COLORS.reset}`);
-    console.log();
-    process.exit(1);
+  if (positionals.length === 0) {
+    log();
+    log('  🗄️ Fetching available add-ons...', 'bold');
   }
 
+  const addons = await getInstallableAddons(version);
+
   if (addons.length === 0) {
-    console.log();
+    log();
     log(`  ${COLORS.yellow}⚠${COLORS.reset} No add-ons available for this version`);
-    console.log();
-    process.exit(0);
+    log();
+    return {command: 'install', version, dryRun, addons: [], success: true, exitCode: EXIT_CODES.success};
   }
 
-  let addonName;
+  let addonNames;
 
-  if (directName) {
-    if (!addons.includes(directName)) {
-      console.log();
-      log(`  ${COLORS.red}✗${COLORS.reset} Add-on ${COLORS.bold}${directName}${COLORS.reset} not found`, 'red');
-      console.log();
-      log(`  ${COLORS.bold}Available add-ons:${COLORS.reset}`, 'blue');
-      addons.forEach((name, index) => log(`    ${COLORS.cyan}${index + 1}.${COLORS.reset} ${name}`));
-      console.log();
-      process.exit(1);
-    }
-    addonName = directName;
-  } else {
-    console.log();
+  if (positionals.length > 0) addonNames = checkRequestedAddons(addons, positionals);
+  else {
+    if (!runtime.interactive) return fail(EXIT_CODES.inputRequired, 'No add-ons specified', {hint: 'Pass the add-on names as arguments when running non-interactively'});
+
+    log();
     log(`  ${COLORS.bold}Available add-ons:${COLORS.reset}`, 'blue');
-    addons.forEach((name, index) => log(`    ${COLORS.cyan}${index + 1}.${COLORS.reset} ${name}`));
-    console.log();
+    printAddonChoices(addons);
+    log();
 
     while (true) {
-      const input = await promptUser(`  Add-on to install ${COLORS.dim}(name or number)${COLORS.reset}`);
+      const input = await promptUser(`  Add-ons to install ${COLORS.dim}(names or numbers, e.g. 1,3 or 1-3)${COLORS.reset}`);
 
       if (!input) {
         log(`  ${COLORS.red}✗${COLORS.reset} Selection cannot be empty`, 'red');
-        console.log();
+        log();
         continue;
       }
 
-      const numInput = parseInt(input, 10);
-      if (!isNaN(numInput) && numInput >= 1 && numInput <= addons.length) {
-        addonName = addons[numInput - 1];
-        break;
-      }
-
-      if (addons.includes(input)) {
-        addonName = input;
+      try {
+        addonNames = parseSelection(input, addons.map(({id}) => id));
         break;
+      } catch (error) {
+        log(`  ${COLORS.red}✗${COLORS.reset} ${error.message}`, 'red');
+        log();
       }
-
-      log(`  ${COLORS.red}✗${COLORS.reset} Invalid selection "${input}"`, 'red');
-      console.log();
     }
   }
 
-  console.log();
-  log(`  ╭${'─'.repeat(62)}╮`);
-  log(`  │  ${COLORS.bold}Installing: ${COLORS.cyan}${addonName}${COLORS.reset} ${COLORS.dim}(v${version})${COLORS.reset}${' '.repeat(44 - addonName.length - version.length)}│`);
-  log(`  ╰${'─'.repeat(62)}╯`);
-  console.log();
-  log(`  📦 Downloading ${COLORS.cyan}${addonName}${COLORS.reset} add-on...`, 'bold');
-
-  let copied, skipped, toMerge;
+  return installAddons(addonNames, {version, available: addons, dryRun, onConflict: options['on-conflict'], skipScripts: options['skip-scripts'] === true, variables});
+};
 
-  try {
-    ({copied, skipped, toMerge} = await downloadAddon(addonName, version, process.cwd()));
-  } catch (error) {
-    console.log();
-    log(`  ${COLORS.red}✗${COLORS.reset} Installation failed`, 'red');
-    if (error.message === 'CDN server is currently unreachable') log(`  ${COLORS.dim}The CDN server is currently unavailable. Please try again later.${COLORS.reset}`);
-    else log(`  ${COLORS.dim}Please verify the add-on exists and try again${COLORS.reset}`);
-    console.log();
-    process.exit(1);
-  }
+let apiQueue = Promise.resolve();
+
+const withRuntime = (options, run) => {
+  const task = apiQueue.then(async () => {
+    const previous = {...runtime};
+
+    Object.assign(runtime, {
+      json: false,
+      cli: false,
+      interactive: false,
+      yes: options.runScripts === true,
+      verify: options.verify !== false,
+      offline: options.offline === true,
+      timeout: options.timeout ?? previous.timeout,
+      retries: options.retries ?? previous.retries,
+      projectDir: path.resolve(options.projectDir || process.cwd()),
+      logger: options.logger || null
+    });
 
-  if (copied.length > 0) {
-    console.log();
-    log(`  ${COLORS.green}✓${COLORS.reset} Copied ${COLORS.bold}${copied.length}${COLORS.reset} new file${copied.length !== 1 ? 's' : ''}`);
-  }
+    registries = null;
+    versionsDataRequests.clear();
 
-  if (skipped.length > 0) {
-    console.log();
-    log(`  ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}Skipped ${skipped.length} file${skipped.length !== 1 ? 's' : ''} (no merge markers):${COLORS.reset}`);
-    skipped.forEach(file => log(`    ${COLORS.dim}• ${file}${COLORS.reset}`));
-  }
+    try {
+      return await run();
+    } catch (error) {
+      throw error instanceof AddonError ? error : new AddonError(error.message, {exitCode: error.exitCode || EXIT_CODES.error, cause: error});
+    } finally {
+      Object.assign(runtime, previous);
+      registries = null;
+      versionsDataRequests.clear();
+    }
+  });
 
-  if (toMerge.length > 0) {
-    console.log();
-    log('  🔀 Merging existing files...', 'bold');
-    const {merged, failed, unchanged} = mergeFiles(toMerge);
+  apiQueue = task.catch(() => {});
+  return task;
+};
 
-    console.log();
-    log('  ' + '─'.repeat(16), 'gray');
-    console.log();
+module.exports = {
+  AddonError,
+  EXIT_CODES,
+  installAddon: (options = {}) => withRuntime(options, async () => {
+    const refs = [options.name].flat().filter(Boolean).map(ref => options.source ? `${options.source}/${parseAddonRef(ref).name}` : ref);
+
+    if (refs.length === 0) return fail(EXIT_CODES.inputRequired, 'No add-ons specified', {hint: 'Pass the add-on name as the name option'});
+    if (options.onConflict && !CONFLICT_ACTIONS.includes(options.onConflict)) return fail(EXIT_CODES.error, `Invalid onConflict value ${options.onConflict}, use ${CONFLICT_ACTIONS.join(', ')}`);
+
+    const projectVersion = getProjectVersion();
+    const version = options.version || projectVersion;
+
+    checkRegistries();
+
+    const addons = await getInstallableAddons(version);
+    return installAddons(checkRequestedAddons(addons, refs), {version, available: addons, dryRun: options.dryRun === true, onConflict: options.onConflict, skipScripts: options.runScripts !== true, variables: options.variables});
+  }),
+  removeAddon: (options = {}) => withRuntime(options, () => {
+    if (!options.name) return fail(EXIT_CODES.inputRequired, 'No add-on specified', {hint: 'Pass the add-on name as the name option'});
+    return removeAddon(parseAddonRef(options.name).name, getProjectVersion(), options.dryRun === true);
+  }),
+  upgradeAddons: (options = {}) => withRuntime(options, () => {
+    const version = getProjectVersion();
+
+    checkRegistries();
+    return upgradeAddons(options.name || null, version, options.dryRun === true, options.variables);
+  }),
+  listAddons: (version, options = {}) => withRuntime(options, () => {
+    checkRegistries();
+    return listAddons(version || getProjectVersion(), options.term || null);
+  }),
+  getAddonInfo: (name, options = {}) => withRuntime(options, () => {
+    checkRegistries();
+    return showAddonInfo(name, options.version || getProjectVersion());
+  }),
+  getStatus: (options = {}) => withRuntime(options, () => {
+    const version = getProjectVersion();
+
+    checkRegistries();
+    return showStatus(version);
+  }),
+  mergeFile: (options = {}) => withRuntime(options, () => {
+    if (!options.target) return fail(EXIT_CODES.inputRequired, 'No target file specified', {hint: 'Pass the file to merge into as the target option'});
+
+    const content = options.content ?? (options.source ? fs.readFileSync(path.resolve(options.source), 'utf8') : null);
+    if (content === null) return fail(EXIT_CODES.inputRequired, 'No add-on content specified', {hint: 'Pass the add-on file as the source option or its text as the content option'});
+
+    const values = {...(fs.existsSync(getSimplFile()) ? getProjectVariables(readSimplConfig()) : {}), ...options.variables};
+    return mergeProjectFile(path.resolve(runtime.projectDir, options.target), renderTemplate(content, values), {addonName: options.addonName || null, dryRun: options.dryRun === true});
+  }),
+  validateAddon: (dir, options = {}) => withRuntime(options, () => validateAddon(path.resolve(dir), fs.existsSync(getSimplFile()) ? runtime.projectDir : null)),
+  packAddon: (dir, options = {}) => withRuntime(options, () => packAddon(path.resolve(dir), {
+    version: options.version || (fs.existsSync(getSimplFile()) ? readSimplConfig().version || null : null),
+    outputDir: path.resolve(runtime.projectDir, options.outputDir || 'dist')
+  }))
+};
 
-    if (merged.length > 0) log(`  ${COLORS.green}✓${COLORS.reset} Successfully merged ${COLORS.bold}${merged.length}${COLORS.reset} file${merged.length !== 1 ? 's' : ''}`);
-    if (unchanged.length > 0) log(`  ${COLORS.gray}○${COLORS.reset} ${COLORS.dim}${unchanged.length} file${unchanged.length !== 1 ? 's' : ''} unchanged (content already exists)${COLORS.reset}`);
+if (require.main === module) {
+  runtime.cli = true;
 
-    if (failed.length > 0) {
-      console.log();
-      log(`  ${COLORS.yellow}⚠${COLORS.reset} ${COLORS.yellow}${failed.length} file${failed.length !== 1 ? 's' : ''} failed to merge${COLORS.reset}`);
-      log(`  ${COLORS.yellow}Please review manually:${COLORS.reset}`);
-      failed.forEach(file => log(`    ${COLORS.cyan}• ${file}${COLORS.reset}`));
+  main().then(report => {
+    if (report && runtime.json) printJson(report);
+    process.exitCode = report?.exitCode ?? EXIT_CODES.success;
+  }).catch(error => {
+    if (error instanceof AddonError) {
+      printFailure(error);
+      process.exitCode = error.exitCode;
+      return;
     }
-  }
 
-  console.log();
-  log(`  ${COLORS.green}✓${COLORS.reset} ${COLORS.bold}${COLORS.green}Installation complete!${COLORS.reset}`, 'green');
-  console.log();
-};
-
-main().catch(() => {
-  log(`\n  ${COLORS.red}✗${COLORS.reset} Fatal error occurred\n`, 'red');
-  process.exit(1);
-});
+    if (runtime.json) printJson({success: false, exitCode: EXIT_CODES.error, error: {message: error.message}});
+    else log(`\n  ${COLORS.red}✗${COLORS.reset} Fatal error occurred\n`, 'red');
+    process.exit(EXIT_CODES.error);
+  });
+}